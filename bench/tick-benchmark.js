@@ -0,0 +1,69 @@
+// Simulation tick benchmark
+// Runs the headless simulation with growing player and food counts and prints
+// the average step() time, to check how collision cost scales.
+// Usage: node bench/tick-benchmark.js [ticks]
+
+const { Simulation, createRng } = require('../simulation');
+
+const TICKS = parseInt(process.argv[2], 10) || 300;
+const DELTA_TIME = 1 / 60;
+
+// [players, food] combinations to measure
+const SCENARIOS = [
+    [5, 100],
+    [25, 500],
+    [50, 1000],
+    [50, 2500],
+    [100, 5000],
+    [200, 10000]
+];
+
+function runScenario(playerCount, foodCount) {
+    // Scale the map with the entity count so density stays playable
+    const scale = Math.sqrt(foodCount / 100);
+    const simulation = new Simulation({
+        seed: 1,
+        rules: {
+            foodCount: foodCount,
+            mapWidth: 20 * scale,
+            mapHeight: 15 * scale
+        }
+    });
+    const inputRandom = createRng(2);
+
+    for (let i = 0; i < playerCount; i++) {
+        simulation.addPlayer(`player-${i}`);
+    }
+    simulation.placePlayers();
+    simulation.generateFood();
+
+    let totalTime = 0n;
+    let worstTime = 0n;
+    for (let tick = 0; tick < TICKS; tick++) {
+        // Players change direction every half second
+        const inputs = new Map();
+        if (tick % 30 === 0) {
+            simulation.players.forEach((player, id) => {
+                inputs.set(id, { x: inputRandom() * 2 - 1, y: inputRandom() * 2 - 1 });
+            });
+        }
+
+        const start = process.hrtime.bigint();
+        simulation.step(inputs, DELTA_TIME);
+        const elapsed = process.hrtime.bigint() - start;
+
+        totalTime += elapsed;
+        if (elapsed > worstTime) worstTime = elapsed;
+    }
+
+    return {
+        players: playerCount,
+        food: foodCount,
+        'avg tick (ms)': (Number(totalTime) / TICKS / 1e6).toFixed(3),
+        'worst tick (ms)': (Number(worstTime) / 1e6).toFixed(3),
+        'tick budget (%)': (Number(totalTime) / TICKS / 1e6 / (DELTA_TIME * 1000) * 100).toFixed(1)
+    };
+}
+
+console.log(`Simulation tick benchmark (${TICKS} ticks per scenario)`);
+console.table(SCENARIOS.map(([players, food]) => runScenario(players, food)));
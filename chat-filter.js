@@ -0,0 +1,32 @@
+// Chat text cleanup and word filter
+// Words in BLOCKED_WORDS are masked with asterisks. Matching ignores case and
+// only hits whole words, so longer words that contain one are left alone.
+
+const BLOCKED_WORDS = [
+    'asshole',
+    'bastard',
+    'bitch',
+    'crap',
+    'cunt',
+    'dick',
+    'fuck',
+    'fucking',
+    'shit'
+];
+
+const BLOCKED_PATTERN = new RegExp(`\\b(${BLOCKED_WORDS.join('|')})\\b`, 'gi');
+
+// Strip control characters and collapse whitespace
+function normalizeChatText(text) {
+    return text.replace(/[\u0000-\u001F\u007F]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function filterChatText(text) {
+    return text.replace(BLOCKED_PATTERN, word => '*'.repeat(word.length));
+}
+
+module.exports = {
+    BLOCKED_WORDS,
+    normalizeChatText,
+    filterChatText
+};
@@ -1,7 +1,12 @@
 // Client-side code (index.js)
 import * as THREE from 'three';
-import * as CANNON from 'cannon-es';
 import { CSS2DRenderer } from 'three/examples/jsm/renderers/CSS2DRenderer.js';
+import { DEFAULT_RULES, getMoveSpeed, normalizeInput, resolveObstacleCollision } from './simulation.js';
+import { SNAPSHOT_HISTORY, applySnapshotDelta, dequantizePlayer } from './snapshot.js';
+import { PROTOCOLS, encodeMessage, decodeMessage } from './protocol.js';
+import { ERROR_CODES, MAX_NAME_LENGTH, MAX_CHAT_LENGTH, MAX_PASSWORD_LENGTH } from './validation.js';
+import { LOBBY_SETTINGS, TEAMS } from './lobby-settings.js';
+import { POWER_UP_TYPES, getSpeedMultiplier } from './powerups.js';
 
 // Add Web3 script first
 const web3Script = document.createElement('script');
@@ -35,7 +40,8 @@ const InputState = {
         up: ['w', 'ArrowUp'],
         down: ['s', 'ArrowDown'],
         left: ['a', 'ArrowLeft'],
-        right: ['d', 'ArrowRight']
+        right: ['d', 'ArrowRight'],
+        boost: ['e']
     },
     mouse: { x: 0, y: 0, down: false },
     lastUpdate: 0,
@@ -59,26 +65,31 @@ const InputState = {
 };
 
 // Game configuration
+// Game rules (map size, food, growth, speed) come from the server, see Game.applyRules
 const CONFIG = {
-    foodCount: 150, // More food for more action
     particleCount: 50, // Number of background particles
     particleSpeed: 0.02, // Speed of background particles
     trailLength: 20, // Length of player trails
     pulseSpeed: 0.5, // Speed of glow pulse effect
+    boostPulseSpeed: 4, // Speed of glow pulse effect while boosting
+    maxPelletScale: 3, // Largest size of an ejected pellet relative to normal food
+    powerUpSpinSpeed: 1.5, // Rotation speed of power-up pickups
+    auraSpacing: 0.15, // Gap between the rings of several active effects
+    obstacleColor: 0x556070,
+    hazardColor: 0xdd3355,
+    hazardSpikes: 8, // Points of the star drawn for spikes
     foodParticleCount: 3, // Number of particles orbiting each food item
     foodParticleSpeed: 2, // Speed of orbiting food particles
-    playerStartSize: 1,
-    foodSize: 0.25, // Smaller food for better visibility
-    growthRate: 0.08, // Faster growth for more dynamic gameplay
-    absorptionThreshold: 1.15, // Easier to absorb other players
-    forceMagnitude: 12, // Faster movement
-    respawnThreshold: 0.4,
-    respawnAmount: 15, // More food respawn
     maxReconnectAttempts: 5,
     reconnectDelay: 1000,
     inputUpdateInterval: 33, // ~30 updates per second for smoother control
     renderInterval: 1000 / 120, // 120 FPS target for smoother animation
-    interpolationDelay: 50 // Reduced for more responsive gameplay
+    interpolationDelay: 50, // Reduced for more responsive gameplay
+    maxExtrapolation: 100, // Max ms to extrapolate past the newest snapshot
+    snapshotAckInterval: 100, // How often to acknowledge received snapshots (ms)
+    chatLogSize: 50, // Chat messages kept for the chat panels
+    chatOverlaySize: 5, // Chat messages shown over the game
+    binaryProtocol: new URLSearchParams(window.location.search).get('protocol') !== 'json' // ?protocol=json for debugging
 };
 
 // Create the scene, camera, and renderer
@@ -115,18 +126,15 @@ css2dRenderer.domElement.style.top = '0';
 css2dRenderer.domElement.style.pointerEvents = 'none';
 document.body.appendChild(css2dRenderer.domElement);
 
-// Create the physics world (client-side prediction)
-const world = new CANNON.World();
-world.gravity.set(0, 0, 0);
-
-// Set map size based on camera view
-const mapWidth = window.innerWidth / 50;
-const mapHeight = window.innerHeight / 50;
+// Map half-extents, replaced by the server rules in setWorldBounds
+let mapWidth = DEFAULT_RULES.mapWidth;
+let mapHeight = DEFAULT_RULES.mapHeight;
 
 // Game state and objects
-const players = new Map(); // Map of playerId -> {mesh, body, size, trail}
+const players = new Map(); // Map of playerId -> {mesh, size, trail, cellMeshes, auras}
 const foodItems = [];
-const foodBodies = [];
+const powerUps = new Map(); // Map of power-up id -> mesh
+const mapObjects = []; // Obstacle and hazard meshes
 const particles = [];
 
 // Create background particles
@@ -147,6 +155,31 @@ for (let i = 0; i < CONFIG.particleCount; i++) {
     particles.push(particle);
     scene.add(particle);
 }
+
+// Outline of the playable area
+const boundaryMaterial = new THREE.LineBasicMaterial({ color: 0x00ffff, transparent: true, opacity: 0.4 });
+const boundary = new THREE.LineLoop(new THREE.BufferGeometry(), boundaryMaterial);
+scene.add(boundary);
+
+// Resize the world to the server map and spread the background over it
+function setWorldBounds(width, height) {
+    mapWidth = width;
+    mapHeight = height;
+
+    boundary.geometry.dispose();
+    boundary.geometry = new THREE.BufferGeometry().setFromPoints([
+        new THREE.Vector3(-width, -height, 0),
+        new THREE.Vector3(width, -height, 0),
+        new THREE.Vector3(width, height, 0),
+        new THREE.Vector3(-width, height, 0)
+    ]);
+
+    particles.forEach(particle => {
+        particle.position.x = (Math.random() - 0.5) * width * 2;
+        particle.position.y = (Math.random() - 0.5) * height * 2;
+    });
+}
+setWorldBounds(mapWidth, mapHeight);
 // Enhanced player colors with neon effect
 const playerColors = [
     0x00ff88, // Neon green
@@ -170,6 +203,7 @@ const GameState = {
 };
 
 // State history for interpolation
+// Array of {time, players: Map of playerId -> {x, y, size}}, oldest first
 const stateHistory = [];
 const STATE_BUFFER_SIZE = 10;
 
@@ -191,13 +225,13 @@ let localPlayerId;
 let currentState = GameState.CONNECTING;
 let countdown = 3;
 let countdownInterval;
-let serverUrl;
 
 // UI Management System
 class UIManager {
     constructor() {
         this.layers = {};
         this.elements = {};
+        this.chatLog = []; // Chat messages shown in the chat panels
         this.createUILayers();
     }
 
@@ -348,22 +382,346 @@ class UIManager {
             this.createUIElement('Not connected', 16, '#aaaaaa', 'connecting', 'wallet-status', '35%');
         }
         
-        // Create lobby button
+        // Create lobby buttons, private lobbies are only reachable by code
         this.createButton('Create New Lobby', 'connecting', 'create-lobby-btn', () => {
-            game.createLobby();
-        }, '40%');
+            game.createLobby(false);
+        }, '40%', '40%');
+        this.createButton('Create Private', 'connecting', 'create-private-btn', () => {
+            game.createLobby(true);
+        }, '40%', '60%');
+        
+        // Quick play button, finds or creates a lobby for us
+        this.createButton('Quick Play', 'connecting', 'quick-play-btn', () => {
+            game.quickPlay();
+        }, '48%');
+        this.createUIElement('', 16, '#aaaaaa', 'connecting', 'queue-status', '53%');
         
         // Join lobby section
-        this.createUIElement('Or Join Existing Lobby:', 20, 'white', 'connecting', 'join-instruction', '55%');
+        this.createUIElement('Or Join Existing Lobby:', 20, 'white', 'connecting', 'join-instruction', '58%');
         this.createInput('Enter Lobby Code', 'connecting', 'lobby-code-input', '65%');
         this.createButton('Join Lobby', 'connecting', 'join-lobby-btn', () => {
-            const code = this.elements['lobby-code-input'].value.toUpperCase();
+            const code = this.elements['lobby-code-input'].value.trim().toUpperCase();
             game.joinLobby(code);
         }, '75%');
+        
+        this.createLobbyBrowser();
+    }
+
+    // Chat panel for a layer. The compact one sits over the game, shows only
+    // the latest messages and opens its input with Enter.
+    createChatPanel(layerName, compact) {
+        const id = `chat-${layerName}`;
+        document.getElementById(id)?.remove();
+        
+        const panel = document.createElement('div');
+        panel.id = id;
+        panel.style.position = 'absolute';
+        panel.style.bottom = compact ? '60px' : '20px';
+        panel.style.left = '20px';
+        panel.style.width = '300px';
+        panel.style.padding = '10px';
+        panel.style.borderRadius = '5px';
+        panel.style.backgroundColor = compact ? 'rgba(0, 0, 0, 0.3)' : 'rgba(0, 0, 0, 0.5)';
+        panel.style.color = 'white';
+        panel.style.fontFamily = 'Arial, sans-serif';
+        panel.style.fontSize = '14px';
+        panel.style.pointerEvents = compact ? 'none' : 'auto';
+        
+        const list = document.createElement('div');
+        list.style.height = compact ? 'auto' : '150px';
+        list.style.overflowY = compact ? 'hidden' : 'auto';
+        list.style.wordBreak = 'break-word';
+        panel.appendChild(list);
+        
+        const input = document.createElement('input');
+        input.placeholder = compact ? 'Press Enter to send' : 'Type a message...';
+        input.maxLength = MAX_CHAT_LENGTH;
+        input.style.width = '100%';
+        input.style.boxSizing = 'border-box';
+        input.style.marginTop = '5px';
+        input.style.padding = '5px';
+        input.style.borderRadius = '3px';
+        input.style.border = '1px solid #ccc';
+        input.style.pointerEvents = 'auto';
+        input.style.display = compact ? 'none' : 'block';
+        input.onkeydown = (e) => {
+            if (e.key === 'Enter') {
+                if (input.value.trim()) {
+                    game.sendChat(input.value);
+                }
+                input.value = '';
+                if (compact) {
+                    input.style.display = 'none';
+                    input.blur();
+                }
+            } else if (e.key === 'Escape' && compact) {
+                input.style.display = 'none';
+                input.blur();
+            }
+            e.stopPropagation();
+        };
+        panel.appendChild(input);
+        
+        this.layers[layerName].appendChild(panel);
+        this.elements[`${id}-list`] = list;
+        this.elements[`${id}-input`] = input;
+        this.renderChat();
+    }
+
+    // Show the in-game chat input
+    openChatInput() {
+        const input = this.elements['chat-game-input'];
+        if (!input) return;
+        
+        input.style.display = 'block';
+        input.focus();
+    }
+
+    addChatMessage(message) {
+        this.chatLog.push(message);
+        if (this.chatLog.length > CONFIG.chatLogSize) {
+            this.chatLog.shift();
+        }
+        this.renderChat();
+    }
+
+    setChatLog(messages) {
+        this.chatLog = messages.slice(-CONFIG.chatLogSize);
+        this.renderChat();
+    }
+
+    renderChat() {
+        ['lobby', 'game'].forEach(layerName => {
+            const list = this.elements[`chat-${layerName}-list`];
+            if (!list) return;
+            
+            const messages = layerName === 'game' ? this.chatLog.slice(-CONFIG.chatOverlaySize) : this.chatLog;
+            list.innerHTML = '';
+            messages.forEach(message => {
+                const item = document.createElement('div');
+                const name = document.createElement('strong');
+                name.style.color = '#' + message.color.toString(16).padStart(6, '0');
+                name.innerText = `${message.name}: `;
+                item.appendChild(name);
+                item.appendChild(document.createTextNode(message.text));
+                list.appendChild(item);
+            });
+            list.scrollTop = list.scrollHeight;
+        });
+    }
+
+    clearLayer(layerName) {
+        const layer = this.layers[layerName];
+        Object.keys(this.elements).forEach(key => {
+            if (layer.contains(this.elements[key])) {
+                delete this.elements[key];
+            }
+        });
+        layer.innerHTML = '';
+    }
+
+    // Post-game standings with rematch and leave buttons
+    createResultsUI(gameOver, winner) {
+        this.clearLayer('win');
+        
+        const winningTeam = gameOver.winningTeam !== null && gameOver.winningTeam !== undefined ? TEAMS[gameOver.winningTeam] : null;
+        if (winningTeam) {
+            const color = '#' + winningTeam.color.toString(16).padStart(6, '0');
+            this.createUIElement(`${winningTeam.name} Team Wins!`, 50, color, 'win', 'win-message', '20%');
+            this.createUIElement(`Team size: ${gameOver.size.toFixed(1)}`, 24, 'white', 'win', 'win-size', '28%');
+        } else if (winner) {
+            const color = '#' + winner.color.toString(16).padStart(6, '0');
+            this.createUIElement(`${winner.name} Wins!`, 50, color, 'win', 'win-message', '20%');
+            this.createUIElement(`Final size: ${gameOver.size.toFixed(1)}`, 24, 'white', 'win', 'win-size', '28%');
+        } else {
+            this.createUIElement('Game Over', 50, 'yellow', 'win', 'win-message', '20%');
+        }
+        
+        const resultList = document.createElement('div');
+        resultList.id = 'result-list';
+        resultList.style.position = 'absolute';
+        resultList.style.top = '35%';
+        resultList.style.left = '50%';
+        resultList.style.transform = 'translate(-50%, 0)';
+        resultList.style.width = '300px';
+        resultList.style.maxHeight = '200px';
+        resultList.style.overflowY = 'auto';
+        resultList.style.backgroundColor = 'rgba(0, 0, 0, 0.5)';
+        resultList.style.borderRadius = '5px';
+        resultList.style.padding = '10px';
+        resultList.style.color = 'white';
+        resultList.style.fontFamily = 'Arial, sans-serif';
+        
+        (gameOver.results || []).forEach(result => {
+            const item = document.createElement('div');
+            item.style.padding = '5px';
+            item.style.fontWeight = result.id === localPlayerId ? 'bold' : 'normal';
+            const eater = result.eatenBy ? (gameOver.results.find(r => r.id === result.eatenBy)?.name || 'someone') : null;
+            const fate = eater ? ` - eaten by ${eater}` : '';
+            item.innerText = `${result.place}. ${result.name} (size ${result.size.toFixed(1)})${fate}`;
+            resultList.appendChild(item);
+        });
+        
+        this.layers.win.appendChild(resultList);
+        this.elements['result-list'] = resultList;
+        
+        this.createUIElement('', 18, '#aaaaaa', 'win', 'rematch-status', '70%');
+        this.createUIElement(`Back to the lobby in ${Math.round(gameOver.rematchIn / 1000)} seconds`, 14, '#aaaaaa', 'win', 'rematch-timer', '74%');
+        this.createButton('Rematch', 'win', 'rematch-btn', () => game.toggleRematch(), '82%', '40%');
+        this.createButton('Leave Lobby', 'win', 'leave-btn', () => game.leaveLobby(), '82%', '60%');
     }
 
+    updateRematchVotes(votes, needed) {
+        this.updateElement('rematch-status', `Rematch votes: ${votes}/${needed}`);
+    }
+
+    // Show the quick play queue position, or clear it when status is null
+    updateQueueStatus(status) {
+        const button = this.elements['quick-play-btn'];
+        if (!status) {
+            this.updateElement('queue-status', '');
+            if (button) button.innerText = 'Quick Play';
+            return;
+        }
+        
+        const wait = status.estimatedWait === null ? 'unknown' : `~${status.estimatedWait}s`;
+        this.updateElement('queue-status', `In queue: ${status.position}/${status.queueSize} - estimated wait ${wait}`);
+        if (button) button.innerText = 'Leave Queue';
+    }
+
+    // Public lobby list, filled by updateLobbyBrowser
+    createLobbyBrowser() {
+        const browser = document.createElement('div');
+        browser.id = 'lobby-browser';
+        browser.style.position = 'absolute';
+        browser.style.top = '25%';
+        browser.style.right = '20px';
+        browser.style.width = '300px';
+        browser.style.maxHeight = '50%';
+        browser.style.overflowY = 'auto';
+        browser.style.backgroundColor = 'rgba(0, 0, 0, 0.5)';
+        browser.style.borderRadius = '5px';
+        browser.style.padding = '10px';
+        browser.style.color = 'white';
+        browser.style.fontFamily = 'Arial, sans-serif';
+        
+        this.layers.connecting.appendChild(browser);
+        this.elements['lobby-browser'] = browser;
+        this.updateLobbyBrowser(this.lobbyList || []);
+    }
+
+    updateLobbyBrowser(lobbies) {
+        this.lobbyList = lobbies;
+        const browser = this.elements['lobby-browser'];
+        if (!browser) return;
+        browser.innerHTML = '';
+        
+        const title = document.createElement('div');
+        title.style.fontSize = '18px';
+        title.style.marginBottom = '5px';
+        title.innerText = 'Public Lobbies';
+        browser.appendChild(title);
+        
+        if (lobbies.length === 0) {
+            const empty = document.createElement('div');
+            empty.style.color = '#aaaaaa';
+            empty.innerText = 'No open lobbies, create one!';
+            browser.appendChild(empty);
+            return;
+        }
+        
+        lobbies.forEach(lobby => {
+            const arena = lobby.settings?.mode === 'arena';
+            const dropIn = arena && (lobby.gameState === 'countdown' || lobby.gameState === 'playing');
+            const joinable = (lobby.gameState === 'lobby' || dropIn) && lobby.playerCount < lobby.maxPlayers;
+            const item = document.createElement('div');
+            item.style.display = 'flex';
+            item.style.justifyContent = 'space-between';
+            item.style.alignItems = 'center';
+            item.style.padding = '5px';
+            item.style.margin = '5px 0';
+            item.style.backgroundColor = joinable ? 'rgba(0, 128, 0, 0.3)' : 'rgba(128, 128, 128, 0.3)';
+            item.style.borderRadius = '3px';
+            
+            const info = document.createElement('div');
+            const status = lobby.gameState === 'lobby' ? 'Waiting' : (dropIn ? 'Arena' : 'In game');
+            info.innerText = `${lobby.id} - ${lobby.playerCount}/${lobby.maxPlayers} - ${status}`;
+            if (lobby.settings) {
+                info.title = `Map ${lobby.settings.mapWidth * 2}x${lobby.settings.mapHeight * 2}, ${lobby.settings.foodCount} food`;
+            }
+            item.appendChild(info);
+            
+            const joinBtn = document.createElement('button');
+            joinBtn.innerText = 'Join';
+            joinBtn.disabled = !joinable;
+            joinBtn.style.padding = '4px 12px';
+            joinBtn.style.border = 'none';
+            joinBtn.style.borderRadius = '3px';
+            joinBtn.style.color = 'white';
+            joinBtn.style.backgroundColor = joinable ? '#4CAF50' : '#666666';
+            joinBtn.style.cursor = joinable ? 'pointer' : 'default';
+            joinBtn.onclick = () => game.joinLobby(lobby.id);
+            item.appendChild(joinBtn);
+            
+            const watchable = lobby.spectatorCount < lobby.maxSpectators;
+            const watchBtn = document.createElement('button');
+            watchBtn.innerText = 'Watch';
+            watchBtn.disabled = !watchable;
+            watchBtn.style.padding = '4px 12px';
+            watchBtn.style.marginLeft = '5px';
+            watchBtn.style.border = 'none';
+            watchBtn.style.borderRadius = '3px';
+            watchBtn.style.color = 'white';
+            watchBtn.style.backgroundColor = watchable ? '#2196F3' : '#666666';
+            watchBtn.style.cursor = watchable ? 'pointer' : 'default';
+            watchBtn.onclick = () => game.spectateLobby(lobby.id);
+            item.appendChild(watchBtn);
+            
+            browser.appendChild(item);
+        });
+    }
+
+    // Small banner shown while the connection is being restored
+    showConnectionStatus(text) {
+        let banner = document.getElementById('connection-status');
+        if (!banner) {
+            banner = document.createElement('div');
+            banner.id = 'connection-status';
+            banner.style.position = 'absolute';
+            banner.style.top = '10px';
+            banner.style.left = '50%';
+            banner.style.transform = 'translateX(-50%)';
+            banner.style.padding = '8px 16px';
+            banner.style.backgroundColor = 'rgba(170, 0, 0, 0.8)';
+            banner.style.color = 'white';
+            banner.style.fontFamily = 'Arial, sans-serif';
+            banner.style.borderRadius = '5px';
+            banner.style.zIndex = '1100';
+            document.body.appendChild(banner);
+        }
+        banner.innerText = text;
+        banner.style.display = 'block';
+    }
+    
+    hideConnectionStatus() {
+        const banner = document.getElementById('connection-status');
+        if (banner) {
+            banner.style.display = 'none';
+        }
+    }
+    
     showLobbyCode(code) {
         this.createUIElement(`Lobby Code: ${code}`, 24, 'yellow', 'lobby', 'lobby-code', '10%');
+        
+        // Invite link, opening it joins this lobby
+        const inviteUrl = `${window.location.origin}${window.location.pathname}?lobby=${code}`;
+        const inviteBtn = this.createButton('Copy Invite Link', 'lobby', 'invite-btn', () => {
+            navigator.clipboard?.writeText(inviteUrl);
+            inviteBtn.innerText = 'Link Copied!';
+        }, '15%');
+        inviteBtn.style.fontSize = '14px';
+        inviteBtn.style.padding = '5px 10px';
+        inviteBtn.title = inviteUrl;
     }
 
     createLobbyUI() {
@@ -405,12 +763,142 @@ class UIManager {
         const readyBtn = this.createButton('Ready', 'lobby', 'ready-btn', () => game.toggleReady(), '75%');
         readyBtn.disabled = false;
         readyBtn.style.backgroundColor = '#4CAF50';
+        
+        this.createChatPanel('lobby', false);
+        
+        // Rule settings, editable by the host
+        const settingsPanel = document.createElement('div');
+        settingsPanel.id = 'lobby-settings';
+        settingsPanel.style.position = 'absolute';
+        settingsPanel.style.top = '25%';
+        settingsPanel.style.left = '20px';
+        settingsPanel.style.width = '220px';
+        settingsPanel.style.backgroundColor = 'rgba(0, 0, 0, 0.5)';
+        settingsPanel.style.borderRadius = '5px';
+        settingsPanel.style.padding = '10px';
+        settingsPanel.style.color = 'white';
+        settingsPanel.style.fontFamily = 'Arial, sans-serif';
+        settingsPanel.innerText = 'Game Settings';
+        this.layers.lobby.appendChild(settingsPanel);
+        this.elements['lobby-settings'] = settingsPanel;
+        
+        Object.entries(LOBBY_SETTINGS).forEach(([key, bounds]) => {
+            const row = document.createElement('label');
+            row.style.display = 'flex';
+            row.style.justifyContent = 'space-between';
+            row.style.margin = '5px 0';
+            row.style.fontSize = '14px';
+            row.innerText = bounds.label;
+            
+            // Settings with options get a dropdown, numbers an input
+            let input;
+            if (bounds.options) {
+                input = document.createElement('select');
+                bounds.options.forEach(option => {
+                    const item = document.createElement('option');
+                    item.value = option;
+                    item.innerText = option.charAt(0).toUpperCase() + option.slice(1);
+                    input.appendChild(item);
+                });
+                input.onchange = () => game.updateLobbySetting(key, input.value);
+            } else {
+                input = document.createElement('input');
+                input.type = 'number';
+                input.min = bounds.min;
+                input.max = bounds.max;
+                input.step = bounds.step || 1;
+                input.onchange = () => game.updateLobbySetting(key, Number(input.value));
+            }
+            input.style.width = '80px';
+            row.appendChild(input);
+            
+            settingsPanel.appendChild(row);
+            this.elements[`setting-${key}`] = input;
+        });
+        
+        // Host-only controls, shown by updateHostControls
+        const hostControls = document.createElement('div');
+        hostControls.id = 'host-controls';
+        hostControls.style.position = 'absolute';
+        hostControls.style.top = '85%';
+        hostControls.style.left = '50%';
+        hostControls.style.transform = 'translate(-50%, -50%)';
+        hostControls.style.display = 'none';
+        hostControls.style.gap = '10px';
+        this.layers.lobby.appendChild(hostControls);
+        this.elements['host-controls'] = hostControls;
+        
+        const lockBtn = this.createButton('Lock Lobby', 'lobby', 'lock-btn', () => game.toggleLobbyLock());
+        const forceStartBtn = this.createButton('Force Start', 'lobby', 'force-start-btn', () => game.forceStart());
+        const balanceBtn = this.createButton('Balance Teams', 'lobby', 'balance-teams-btn', () => game.balanceTeams());
+        [lockBtn, forceStartBtn, balanceBtn].forEach(button => {
+            button.style.position = 'static';
+            button.style.transform = 'none';
+            button.style.fontSize = '14px';
+            hostControls.appendChild(button);
+        });
     }
 
-    updatePlayerList(players) {
+    updateLobbySettings(settings, isHost) {
+        if (!settings) return;
+        
+        Object.keys(LOBBY_SETTINGS).forEach(key => {
+            const input = this.elements[`setting-${key}`];
+            if (!input) return;
+            
+            input.disabled = !isHost;
+            if (document.activeElement !== input) {
+                input.value = settings[key];
+            }
+        });
+    }
+
+    updateHostControls(isHost, locked, teamMode) {
+        const hostControls = this.elements['host-controls'];
+        if (!hostControls) return;
+        
+        hostControls.style.display = isHost ? 'flex' : 'none';
+        this.updateElement('lock-btn', locked ? 'Unlock Lobby' : 'Lock Lobby');
+        this.elements['balance-teams-btn'].style.display = teamMode ? 'inline-block' : 'none';
+    }
+
+    // Small button used next to a player in the host's player list
+    createPlayerAction(text, onClick) {
+        const button = document.createElement('button');
+        button.innerText = text;
+        button.style.marginLeft = '5px';
+        button.style.padding = '2px 8px';
+        button.style.fontSize = '12px';
+        button.style.border = 'none';
+        button.style.borderRadius = '3px';
+        button.style.color = 'white';
+        button.style.backgroundColor = '#666666';
+        button.style.cursor = 'pointer';
+        button.onclick = onClick;
+        return button;
+    }
+
+    // teamCount is 0 outside team mode, otherwise each team gets a column
+    updatePlayerList(players, hostId = null, maxPlayers = 5, mutedPlayers = new Set(), teamCount = 0) {
         const list = this.elements['player-list'];
         list.innerHTML = '';
         
+        const columns = TEAMS.slice(0, teamCount).map(team => {
+            const column = document.createElement('div');
+            column.style.flex = '1';
+            column.style.padding = '0 5px';
+            
+            const header = document.createElement('div');
+            header.style.fontWeight = 'bold';
+            header.style.color = '#' + team.color.toString(16).padStart(6, '0');
+            header.innerText = `${team.name} Team`;
+            column.appendChild(header);
+            
+            list.appendChild(column);
+            return column;
+        });
+        list.style.display = columns.length > 0 ? 'flex' : 'block';
+        
         players.forEach(player => {
             const playerItem = document.createElement('div');
             playerItem.style.padding = '5px';
@@ -420,13 +908,34 @@ class UIManager {
             playerItem.style.color = '#' + player.color.toString(16).padStart(6, '0');
             
             const readyStatus = player.ready ? '✓ Ready' : '✗ Not Ready';
-            playerItem.innerHTML = `<strong>${player.name}</strong> ${player.id === localPlayerId ? '(You)' : ''} - ${readyStatus}`;
+            const connection = player.connected === false ? ' (reconnecting...)' : '';
+            const host = player.id === hostId ? ' ★ Host' : '';
+            const name = document.createElement('strong');
+            name.innerText = player.name;
+            playerItem.appendChild(name);
+            playerItem.appendChild(document.createTextNode(` ${player.id === localPlayerId ? '(You)' : ''}${host} - ${readyStatus}${connection}`));
+            
+            if (player.id !== localPlayerId) {
+                const muted = mutedPlayers.has(player.id);
+                playerItem.appendChild(this.createPlayerAction(muted ? 'Unmute' : 'Mute', () => game.toggleMute(player.id)));
+            }
+            
+            // The host can manage the other players
+            if (hostId === localPlayerId && player.id !== localPlayerId) {
+                playerItem.appendChild(this.createPlayerAction('Kick', () => game.kickPlayer(player.id)));
+                playerItem.appendChild(this.createPlayerAction('Make Host', () => game.transferHost(player.id)));
+            }
+            
+            // The host picks teams, themselves included
+            if (hostId === localPlayerId && columns.length > 0) {
+                playerItem.appendChild(this.createPlayerAction('Switch Team', () => game.setPlayerTeam(player.id, (player.team + 1) % teamCount)));
+            }
             
-            list.appendChild(playerItem);
+            (columns[player.team] || list).appendChild(playerItem);
         });
         
         // Update player count
-        this.updateElement('player-count', `Connected players: ${players.length}/5`);
+        this.updateElement('player-count', `Connected players: ${players.length}/${maxPlayers}`);
         
         // Update lobby status
         const allReady = players.length >= 2 && players.every(p => p.ready);
@@ -435,6 +944,89 @@ class UIManager {
             'Waiting for players to ready up...');
     }
 
+    // Spectators see the lobby but have no seat to ready or chat from
+    showSpectatorLobby(spectators) {
+        ['ready-btn', 'chat-lobby-input'].forEach(id => {
+            if (this.elements[id]) {
+                this.elements[id].style.display = 'none';
+            }
+        });
+        this.updateElement('lobby-status', `Spectating - watching: ${spectators.join(', ')}`);
+    }
+
+    // Banner naming the followed player, with a way out for spectators
+    updateSpectateBanner(targetName, canLeave) {
+        let banner = this.elements['spectate-banner'];
+        if (!banner) {
+            banner = document.createElement('div');
+            banner.id = 'spectate-banner';
+            banner.style.position = 'absolute';
+            banner.style.top = '10px';
+            banner.style.left = '50%';
+            banner.style.transform = 'translateX(-50%)';
+            banner.style.backgroundColor = 'rgba(0, 0, 0, 0.5)';
+            banner.style.color = 'white';
+            banner.style.padding = '10px';
+            banner.style.borderRadius = '5px';
+            banner.style.fontFamily = 'Arial, sans-serif';
+            banner.style.fontSize = '16px';
+            banner.style.textAlign = 'center';
+            this.layers.game.appendChild(banner);
+            this.elements['spectate-banner'] = banner;
+            
+            const text = document.createElement('div');
+            banner.appendChild(text);
+            this.elements['spectate-text'] = text;
+            
+            if (canLeave) {
+                const leaveBtn = document.createElement('button');
+                leaveBtn.innerText = 'Stop Watching';
+                leaveBtn.style.marginTop = '5px';
+                leaveBtn.style.padding = '4px 12px';
+                leaveBtn.style.border = 'none';
+                leaveBtn.style.borderRadius = '3px';
+                leaveBtn.style.color = 'white';
+                leaveBtn.style.backgroundColor = '#f44336';
+                leaveBtn.style.cursor = 'pointer';
+                leaveBtn.onclick = () => game.leaveLobby();
+                banner.appendChild(leaveBtn);
+            }
+        }
+        
+        this.elements['spectate-text'].innerText = `Spectating ${targetName} - Tab to switch`;
+    }
+
+    // Remaining time of each active power-up effect, hidden when there are none
+    updateEffectTimers(effects) {
+        let timers = this.elements['effect-timers'];
+        if (!timers) {
+            timers = document.createElement('div');
+            timers.id = 'effect-timers';
+            timers.style.position = 'absolute';
+            timers.style.top = '10px';
+            timers.style.right = '10px';
+            timers.style.backgroundColor = 'rgba(0, 0, 0, 0.5)';
+            timers.style.padding = '10px';
+            timers.style.borderRadius = '5px';
+            timers.style.fontFamily = 'Arial, sans-serif';
+            timers.style.fontSize = '16px';
+            this.layers.game.appendChild(timers);
+            this.elements['effect-timers'] = timers;
+        }
+        
+        timers.style.display = effects.length > 0 ? 'block' : 'none';
+        timers.innerHTML = '';
+        effects.forEach(effect => {
+            const definition = POWER_UP_TYPES[effect.type];
+            const row = document.createElement('div');
+            row.innerText = `${definition ? definition.label : effect.type} ${(effect.remaining / 1000).toFixed(1)}s`;
+            if (definition) {
+                row.style.color = new THREE.Color(...definition.color).getStyle();
+            }
+            timers.appendChild(row);
+        });
+    }
+    
     createCountdownUI() {
         this.createUIElement('Game Starting in:', 30, 'yellow', 'countdown', 'countdown-text', '40%');
         this.createUIElement('3', 60, 'red', 'countdown', 'countdown-number', '50%');
@@ -471,24 +1063,43 @@ class UIManager {
         controlsInfo.style.fontFamily = 'Arial, sans-serif';
         controlsInfo.style.fontSize = '14px';
         controlsInfo.innerHTML = `
-            <strong>Controls:</strong> WASD or Arrow Keys to move
+            <strong>Controls:</strong> WASD or Arrow Keys to move, Space to split, Click or E to boost, Enter to chat
         `;
         this.layers.game.appendChild(controlsInfo);
+        
+        this.createChatPanel('game', true);
     }
     
-    updateScores(playersList) {
+    // teams holds the team totals in team mode, listed above the players
+    updateScores(playersList, teams = null) {
         const container = this.elements['score-container'];
         container.innerHTML = '';
         
-        // Sort players by size (descending)
-        const sortedPlayers = [...playersList].sort((a, b) => b.size - a.size);
+        (teams || []).forEach(score => {
+            const team = TEAMS[score.team];
+            const teamItem = document.createElement('div');
+            teamItem.style.margin = '5px 0';
+            teamItem.style.fontWeight = 'bold';
+            teamItem.style.color = '#' + team.color.toString(16).padStart(6, '0');
+            teamItem.innerText = `${team.name} Team: ${score.size.toFixed(1)} (${score.alive} left)`;
+            container.appendChild(teamItem);
+        });
+        if (teams) {
+            container.appendChild(document.createElement('hr'));
+        }
+        
+        // Sort players by size (descending), then by best size in the arena
+        const sortedPlayers = [...playersList].sort((a, b) => b.size - a.size || (b.best || 0) - (a.best || 0));
         
         sortedPlayers.forEach(player => {
             const scoreItem = document.createElement('div');
             scoreItem.style.margin = '5px 0';
             scoreItem.style.color = '#' + player.color.toString(16).padStart(6, '0');
             scoreItem.style.fontWeight = player.id === localPlayerId ? 'bold' : 'normal';
-            scoreItem.innerHTML = `${player.name}: ${player.size.toFixed(1)}`;
+            scoreItem.innerText = `${player.name}: ${player.size.toFixed(1)}`;
+            if (player.best !== undefined) {
+                scoreItem.innerText += ` (best ${player.best.toFixed(1)})`;
+            }
             
             container.appendChild(scoreItem);
         });
@@ -530,11 +1141,11 @@ class UIManager {
         
         // Add back button after short delay to ensure ad is shown
         setTimeout(() => {
-            this.createButton('Back to Lobby', 'win', 'lobby-btn', () => {
+            this.createButton('Leave Lobby', 'win', 'lobby-btn', () => {
                 if (typeof adManager !== 'undefined') {
                     adManager.hideAd('win-ad');
                 }
-                game.requestLobby();
+                game.leaveLobby();
             }, '70%');
         }, 2000);
     }
@@ -542,29 +1153,55 @@ class UIManager {
 
 // Network Manager
 class NetworkManager {
-    constructor(onMessage, onConnect, onDisconnect) {
+    constructor(onMessage, onConnect, onDisconnect, onResuming) {
         this.socket = null;
         this.onMessage = onMessage;
         this.onConnect = onConnect;
         this.onDisconnect = onDisconnect;
+        this.onResuming = onResuming;
         this.connected = false;
+        this.protocol = PROTOCOLS.JSON; // Wire format negotiated with the server
         this.messageQueue = [];
         this.lastSentTime = 0;
         this.sendInterval = 50; // Send input updates every 50ms (20 times per second)
+        this.senderInterval = null;
+        
+        // Session resume after a dropped connection
+        this.serverUrl = null;
+        this.resumeToken = null; // Issued by the server in welcome
+        this.resuming = false;
+        this.reconnectAttempts = 0;
     }
     
     connect(serverUrl) {
         if (this.socket) {
+            // Closing the old socket on purpose must not trigger a resume
+            this.socket.onclose = null;
             this.socket.close();
         }
+        this.serverUrl = serverUrl;
         
         try {
-            this.socket = new WebSocket(serverUrl);
+            const protocols = CONFIG.binaryProtocol ?
+                [PROTOCOLS.BINARY, PROTOCOLS.JSON] :
+                [PROTOCOLS.JSON];
+            this.socket = new WebSocket(serverUrl, protocols);
+            this.socket.binaryType = 'arraybuffer';
             
             this.socket.onopen = () => {
-                console.log('Connected to server');
+                this.protocol = this.socket.protocol || PROTOCOLS.JSON;
+                console.log('Connected to server using', this.protocol);
                 this.connected = true;
-                if (this.onConnect) this.onConnect();
+                
+                if (this.resuming) {
+                    // Rebind to our player before anything else
+                    this.send({
+                        type: 'resume_session',
+                        token: this.resumeToken
+                    });
+                } else if (this.onConnect) {
+                    this.onConnect();
+                }
                 
                 // Start message sender loop
                 this.startMessageSender();
@@ -572,7 +1209,7 @@ class NetworkManager {
             
             this.socket.onmessage = (event) => {
                 try {
-                    const message = JSON.parse(event.data);
+                    const message = decodeMessage(event.data, typeof event.data !== 'string');
                     if (this.onMessage) this.onMessage(message);
                 } catch (e) {
                     console.error('Failed to parse message:', e);
@@ -582,6 +1219,14 @@ class NetworkManager {
             this.socket.onclose = () => {
                 console.log('Disconnected from server');
                 this.connected = false;
+                
+                if (this.resumeToken && this.reconnectAttempts < CONFIG.maxReconnectAttempts) {
+                    this.tryResume();
+                    return;
+                }
+                
+                this.resuming = false;
+                this.reconnectAttempts = 0;
                 if (this.onDisconnect) this.onDisconnect();
             };
             
@@ -595,8 +1240,31 @@ class NetworkManager {
         }
     }
     
+    // Reconnect and ask the server to give us our player back
+    tryResume() {
+        this.resuming = true;
+        this.reconnectAttempts++;
+        console.log(`Connection lost, resuming session (attempt ${this.reconnectAttempts}/${CONFIG.maxReconnectAttempts})`);
+        if (this.onResuming) this.onResuming(this.reconnectAttempts);
+        
+        setTimeout(() => {
+            this.connect(this.serverUrl);
+        }, CONFIG.reconnectDelay);
+    }
+    
+    // Called once the server accepted or refused resume_session
+    finishResume(success) {
+        this.resuming = false;
+        this.reconnectAttempts = 0;
+        if (!success) {
+            this.resumeToken = null;
+        }
+    }
+    
     startMessageSender() {
-        setInterval(() => {
+        if (this.senderInterval) return;
+        
+        this.senderInterval = setInterval(() => {
             if (this.connected && this.messageQueue.length > 0) {
                 const now = Date.now();
                 if (now - this.lastSentTime >= this.sendInterval) {
@@ -613,7 +1281,7 @@ class NetworkManager {
     
     send(data) {
         if (this.connected && this.socket.readyState === WebSocket.OPEN) {
-            this.socket.send(JSON.stringify(data));
+            this.socket.send(encodeMessage(data, this.protocol));
             return true;
         }
         return false;
@@ -624,6 +1292,7 @@ class NetworkManager {
     }
     
     disconnect() {
+        this.resumeToken = null;
         if (this.socket) {
             this.socket.close();
             this.socket = null;
@@ -640,13 +1309,42 @@ class Game {
         this.localPlayerReady = false;
         this.lobbyId = null;
         this.isSpectating = false;
-        this.reconnecting = false;
+        this.spectatorMode = false; // Watching a lobby without a seat
+        this.spectateTarget = null; // Player the camera follows while spectating
+        this.alivePlayerIds = []; // Players still in the round, from scores
+        this.inQueue = false; // Waiting in the quick play queue
+        this.lobbyLocked = false;
+        this.rematchVoted = false;
+        this.lobbySettings = null; // Rule settings from the last lobby_update
+        this.lastLobbyUpdate = null;
+        this.mutedPlayers = new Set(); // Players whose chat we muted
+        this.lobbyPassword = ''; // Password picked for the private lobby we created
+        this.pendingJoin = null; // Last join or spectate request, resent with a password
+        this.inviteCode = new URLSearchParams(window.location.search).get('lobby'); // From an invite link
+        this.serverTimeOffset = 0; // Estimated server clock minus local clock (ms)
+        
+        // Delta-compressed snapshots received from the server
+        this.receivedSnapshots = new Map(); // Maps snapshotId -> Map of playerId -> quantized state
+        this.lastSnapshotId = null; // Newest snapshot received
+        this.ackedSnapshotId = null; // Newest snapshot acknowledged to the server
+        this.lastAckTime = 0;
+        
+        // Client-side prediction for the local player
+        this.rules = { ...DEFAULT_RULES }; // Server game rules, see applyRules
+        this.inputSeq = 0; // Sequence number of the last input sent
+        this.unackedInputs = []; // Inputs not yet processed by the server: {seq, input, duration}
+        this.currentInput = { x: 0, y: 0 }; // Input the server is applying to us
+        this.predictedState = null; // Predicted {x, y, size} of the local player
+        this.splitRequested = false; // Space was pressed, sent with the next input
+        this.obstacles = []; // Round obstacles from game_start, the prediction stops at them
+        this.lastUpdateTime = performance.now();
         
         // Set up network manager
         this.network = new NetworkManager(
             this.handleServerMessage.bind(this),
             this.handleConnection.bind(this),
-            this.handleDisconnection.bind(this)
+            this.handleDisconnection.bind(this),
+            this.handleResuming.bind(this)
         );
         
         this.initialize();
@@ -672,6 +1370,24 @@ class Game {
         
         // Handle key inputs
         window.addEventListener('keydown', (e) => {
+            // Typing in a text field is not game input
+            if (e.target instanceof HTMLInputElement) return;
+            if (e.key === 'Tab' && currentState === GameState.PLAYING && this.isSpectating) {
+                this.cycleSpectateTarget();
+                e.preventDefault();
+                return;
+            }
+            if (e.key === ' ' && currentState === GameState.PLAYING && !this.isSpectating) {
+                this.splitRequested = true;
+                e.preventDefault();
+                return;
+            }
+            if (e.key === 'Enter' && currentState === GameState.PLAYING && !this.spectatorMode) {
+                this.clearInputState();
+                this.ui.openChatInput();
+                e.preventDefault();
+                return;
+            }
             InputState.addKey(e.key);
             // Prevent default browser behavior for game controls
             if (Object.values(InputState.controls).flat().includes(e.key)) {
@@ -729,6 +1445,17 @@ class Game {
     setState(newState) {
         currentState = newState;
         this.ui.showLayer(this.stateToLayerMap(newState));
+        
+        // Keep the lobby browser live while on the connecting screen
+        if (newState === GameState.CONNECTING) {
+            this.watchLobbies();
+        }
+    }
+    
+    watchLobbies() {
+        if (this.network.connected) {
+            this.network.send({ type: 'list_lobbies' });
+        }
     }
     
     stateToLayerMap(state) {
@@ -743,28 +1470,34 @@ class Game {
     }
     
     connectToServer(serverAddress) {
-        serverUrl = serverAddress;
         this.network.connect(serverAddress);
     }
     
     handleConnection() {
         // Don't automatically join, wait for user to create or join lobby
         console.log('Connected to server');
+        if (currentState === GameState.CONNECTING) {
+            this.watchLobbies();
+            
+            // Opened from an invite link, go straight to joining that lobby
+            if (this.inviteCode) {
+                const lobbyCode = this.inviteCode.trim().toUpperCase();
+                this.inviteCode = null;
+                window.history.replaceState(null, '', window.location.pathname);
+                this.joinLobby(lobbyCode);
+            }
+        }
+    }
+    
+    handleResuming(attempt) {
+        this.clearInputState();
+        this.ui.showConnectionStatus(`Connection lost. Reconnecting (${attempt}/${CONFIG.maxReconnectAttempts})...`);
     }
     
     handleDisconnection() {
-        if (this.reconnecting) {
-            // Wait a moment then reconnect
-            setTimeout(() => {
-                this.resetState();
-                this.connectToServer(serverUrl);
-                this.reconnecting = false;
-            }, 1000);
-        } else {
-            // Normal disconnection handling
-            alert('Disconnected from server. Please refresh to reconnect.');
-            this.setState(GameState.CONNECTING);
-        }
+        this.ui.hideConnectionStatus();
+        alert('Disconnected from server. Please refresh to reconnect.');
+        this.setState(GameState.CONNECTING);
     }
     
     handleServerMessage(message) {
@@ -772,6 +1505,9 @@ class Game {
             case 'welcome':
                 this.handleWelcomeMessage(message);
                 break;
+            case 'resume_failed':
+                this.handleResumeFailed(message);
+                break;
             case 'lobby_update':
                 this.handleLobbyUpdate(message);
                 break;
@@ -787,21 +1523,63 @@ class Game {
             case 'food_eaten':
                 this.handleFoodEaten(message);
                 break;
+            case 'interest_update':
+                this.handleInterestUpdate(message);
+                break;
+            case 'power_up_spawned':
+                this.createPowerUp(message.powerUp);
+                break;
+            case 'power_up_collected':
+                this.removePowerUp(message.id);
+                break;
+            case 'scores':
+                this.handleScores(message);
+                break;
             case 'player_eaten':
                 this.handlePlayerEaten(message);
                 break;
             case 'game_over':
                 this.handleGameOver(message);
-                this.reconnecting = true;
+                break;
+            case 'chat':
+                this.ui.addChatMessage(message);
+                break;
+            case 'chat_history':
+                this.ui.setChatLog(message.messages);
+                break;
+            case 'mute_update':
+                this.handleMuteUpdate(message);
+                break;
+            case 'rematch_update':
+                this.ui.updateRematchVotes(message.votes, message.needed);
                 break;
             case 'force_lobby':
                 this.forceLobbyReturn();
                 break;
+            case 'kicked':
+                this.handleKicked();
+                break;
+            case 'queue_update':
+                this.handleQueueUpdate(message);
+                break;
+            case 'queue_left':
+                this.inQueue = false;
+                this.ui.updateQueueStatus(null);
+                break;
+            case 'spectate_start':
+                this.handleSpectateStart(message);
+                break;
+            case 'spectate_target':
+                this.setSpectateTarget(message.playerId);
+                break;
+            case 'lobby_list':
+                this.ui.updateLobbyBrowser(message.lobbies);
+                break;
             case 'lobby_created':
                 this.handleLobbyCreated(message);
                 break;
             case 'lobby_closed':
-                this.handleLobbyClosed();
+                this.handleLobbyClosed(message);
                 break;
             case 'player_eliminated':
                 this.handlePlayerEliminated();
@@ -809,8 +1587,14 @@ class Game {
             case 'you_were_eliminated':
                 this.handleElimination();
                 break;
-            case 'prepare_reconnect':
-                this.handlePrepareReconnect();
+            case 'you_were_eaten':
+                this.handleEaten(message);
+                break;
+            case 'respawned':
+                this.handleRespawn();
+                break;
+            case 'error':
+                this.handleServerError(message);
                 break;
             default:
                 console.log('Unknown message type:', message.type);
@@ -820,6 +1604,9 @@ class Game {
     forceLobbyReturn() {
         // Clear game state
         this.clearGameObjects();
+        this.isSpectating = this.spectatorMode;
+        this.spectateTarget = null;
+        this.ui.clearLayer('win');
         
         // Reset state and UI
         this.setState(GameState.LOBBY);
@@ -827,11 +1614,23 @@ class Game {
         
         // Force UI recreation
         this.ui.createLobbyUI();
+        if (this.lastLobbyUpdate) {
+            this.handleLobbyUpdate(this.lastLobbyUpdate);
+        }
     }
     
     handleWelcomeMessage(message) {
         clientId = message.clientId;
         localPlayerId = message.playerId;
+        this.network.resumeToken = message.resumeToken || null;
+        this.applyRules(message.rules);
+        this.inQueue = false;
+        this.pendingJoin = null;
+        this.ui.updateQueueStatus(null);
+        if (message.resumed) {
+            this.network.finishResume(true);
+            this.ui.hideConnectionStatus();
+        }
         
         // Initialize lobby
         this.setState(GameState.LOBBY);
@@ -844,6 +1643,20 @@ class Game {
         this.ui.showLobbyCode(message.lobbyId);
     }
     
+    // Use the rules sent by the server for the world, food and prediction
+    applyRules(rules) {
+        if (!rules) return;
+        this.rules = { ...DEFAULT_RULES, ...rules };
+        setWorldBounds(this.rules.mapWidth, this.rules.mapHeight);
+    }
+    
+    handleResumeFailed(message) {
+        console.warn('Could not resume session:', message.message);
+        this.network.finishResume(false);
+        this.ui.hideConnectionStatus();
+        this.resetState();
+    }
+    
     handleLobbyUpdate(message) {
         this.playersInfo = message.players;
         
@@ -852,7 +1665,19 @@ class Game {
             this.ui.createLobbyUI();
         }
         
-        this.ui.updatePlayerList(message.players);
+        const isHost = message.hostId === localPlayerId;
+        this.lastLobbyUpdate = message;
+        this.ui.updateElement('lobby-title', message.isPrivate ? 'Private Lobby' : 'Game Lobby');
+        const teamCount = message.settings?.mode === 'teams' ? message.settings.teamCount : 0;
+        this.ui.updatePlayerList(message.players, message.hostId, message.settings?.maxPlayers, this.mutedPlayers, teamCount);
+        this.lobbyLocked = message.locked;
+        this.lobbySettings = message.settings;
+        this.ui.updateHostControls(isHost, message.locked, teamCount > 0);
+        this.ui.updateLobbySettings(message.settings, isHost);
+        if (this.spectatorMode) {
+            this.ui.showSpectatorLobby(message.spectators || []);
+            return;
+        }
         
         // Update ready button text based on local player status
         const localPlayer = this.playersInfo.find(p => p.id === localPlayerId);
@@ -877,6 +1702,7 @@ class Game {
     }
     
     handleGameStart(message) {
+        this.applyRules(message.rules);
         this.setState(GameState.PLAYING);
         
         // Clear existing objects
@@ -895,49 +1721,338 @@ class Game {
             this.createFood(foodInfo);
         });
         
+        message.powerUps.forEach(powerUp => {
+            this.createPowerUp(powerUp);
+        });
+        
+        // Obstacles and hazards are static for the whole round
+        this.obstacles = message.obstacles;
+        message.obstacles.forEach(obstacle => this.createObstacle(obstacle));
+        message.hazards.forEach(hazard => this.createHazard(hazard));
+        
+        if (message.spectating) {
+            this.setSpectateTarget(message.spectating);
+        }
+        
         // Position camera
         camera.position.set(0, 0, 10);
         camera.lookAt(new THREE.Vector3(0, 0, 0));
     }
     
     handleGameUpdate(message) {
-        // Update player positions and sizes
-        message.players.forEach(playerUpdate => {
-            const player = players.get(playerUpdate.id);
-            if (player) {
-                // Update position
-                player.body.position.set(playerUpdate.x, playerUpdate.y, 0);
-                player.mesh.position.set(playerUpdate.x, playerUpdate.y, 0);
-                
-                // Update size if it changed
-                if (player.size !== playerUpdate.size) {
-                    player.size = playerUpdate.size;
-                    player.mesh.scale.setScalar(player.size);
-                    player.body.shapes[0].radius = player.size;
-                }
+        const snapshotPlayers = this.decodeSnapshot(message);
+        if (!snapshotPlayers) return;
+        
+        // Buffer the snapshot, positions are applied in interpolatePlayers
+        this.recordSnapshot({ time: message.time, players: snapshotPlayers });
+        
+        // Snapshots only hold players in our area of interest
+        const visibleIds = new Set(snapshotPlayers.map(p => p.id));
+        snapshotPlayers.forEach(playerUpdate => {
+            if (!players.has(playerUpdate.id)) {
+                this.createPlayer(playerUpdate);
+            }
+        });
+        Array.from(players.keys()).forEach(id => {
+            if (!visibleIds.has(id)) {
+                this.removePlayer(id);
             }
         });
         
-        // Update UI scores
-        this.ui.updateScores(message.players.map(p => ({
+        const localUpdate = snapshotPlayers.find(p => p.id === localPlayerId);
+        if (localUpdate) {
+            this.reconcile(localUpdate);
+        }
+        
+        // Countdown of the followed player's power-ups
+        const followed = localUpdate || snapshotPlayers.find(p => p.id === this.spectateTarget);
+        this.ui.updateEffectTimers(followed ? followed.effects : []);
+    }
+    
+    handleScores(message) {
+        this.alivePlayerIds = message.players.map(p => p.id);
+        
+        // Update UI scores, arena rounds send a leaderboard with best sizes
+        this.ui.updateScores((message.leaderboard || message.players).map(p => ({
             id: p.id,
             name: this.playersInfo.find(info => info.id === p.id)?.name || 'Unknown',
             size: p.size,
+            best: p.best,
             color: this.playersInfo.find(info => info.id === p.id)?.color || 0xffffff
-        })));
+        })), message.teams);
     }
     
-    handleFoodEaten(message) {
-        const foodIndex = foodItems.findIndex(food => 
-            food.position.x === message.x && food.position.y === message.y);
+    // Entities entering or leaving our area of interest
+    handleInterestUpdate(message) {
+        message.left.players.forEach(id => this.removePlayer(id));
+        message.left.food.forEach(foodInfo => this.removeFood(foodInfo));
+        
+        // Entering players are created from the next game_update
+        message.entered.food.forEach(foodInfo => this.createFood(foodInfo));
+    }
+    
+    // Rebuild the full player list from a delta-compressed game_update
+    decodeSnapshot(message) {
+        let baseline = null;
+        if (message.baseline !== null && message.baseline !== undefined) {
+            baseline = this.receivedSnapshots.get(message.baseline);
+            if (!baseline) {
+                console.warn('Missing snapshot baseline:', message.baseline);
+                return null;
+            }
             
-        if (foodIndex !== -1) {
-            scene.remove(foodItems[foodIndex]);
-            world.removeBody(foodBodies[foodIndex]);
-            foodItems.splice(foodIndex, 1);
-            foodBodies.splice(foodIndex, 1);
+            // The server never goes back past a baseline it has used
+            for (const id of this.receivedSnapshots.keys()) {
+                if (id < message.baseline) {
+                    this.receivedSnapshots.delete(id);
+                }
+            }
+        }
+        
+        const snapshot = applySnapshotDelta(baseline, message);
+        this.receivedSnapshots.set(message.snapshot, snapshot);
+        if (this.receivedSnapshots.size > SNAPSHOT_HISTORY) {
+            this.receivedSnapshots.delete(this.receivedSnapshots.keys().next().value);
+        }
+        this.lastSnapshotId = message.snapshot;
+        
+        return Array.from(snapshot.values()).map(dequantizePlayer);
+    }
+    
+    // Tell the server which snapshot it can use as our delta baseline
+    acknowledgeSnapshot(now) {
+        if (this.lastSnapshotId === null || this.lastSnapshotId === this.ackedSnapshotId) return;
+        if (now - this.lastAckTime < CONFIG.snapshotAckInterval) return;
+        
+        if (this.network.send({ type: 'snapshot_ack', snapshot: this.lastSnapshotId })) {
+            this.ackedSnapshotId = this.lastSnapshotId;
+            this.lastAckTime = now;
+        }
+    }
+    
+    // Store a server snapshot in the interpolation buffer
+    recordSnapshot(message) {
+        const now = performance.now();
+        const serverTime = typeof message.time === 'number' ? message.time : now;
+        
+        // Track the server clock offset, smoothed to absorb network jitter
+        const offsetSample = serverTime - now;
+        if (stateHistory.length === 0) {
+            this.serverTimeOffset = offsetSample;
+        } else {
+            this.serverTimeOffset += (offsetSample - this.serverTimeOffset) * 0.1;
+        }
+        
+        // Drop snapshots that arrive out of order
+        const latest = stateHistory[stateHistory.length - 1];
+        if (latest && serverTime <= latest.time) return;
+        
+        const snapshotPlayers = new Map();
+        message.players.forEach(playerUpdate => {
+            snapshotPlayers.set(playerUpdate.id, {
+                x: playerUpdate.x,
+                y: playerUpdate.y,
+                size: playerUpdate.size,
+                boosting: playerUpdate.boosting,
+                effects: playerUpdate.effects,
+                cells: playerUpdate.cells
+            });
+        });
+        
+        stateHistory.push({ time: serverTime, players: snapshotPlayers });
+        if (stateHistory.length > STATE_BUFFER_SIZE) {
+            stateHistory.shift();
+        }
+    }
+    
+    // Render players slightly in the past, between two buffered snapshots
+    interpolatePlayers() {
+        if (stateHistory.length === 0) return;
+        
+        const renderTime = performance.now() + this.serverTimeOffset - CONFIG.interpolationDelay;
+        
+        // Find the newest snapshot at or before the render time
+        let olderIndex = 0;
+        for (let i = stateHistory.length - 1; i >= 0; i--) {
+            if (stateHistory[i].time <= renderTime) {
+                olderIndex = i;
+                break;
+            }
+        }
+        const older = stateHistory[olderIndex];
+        const newer = stateHistory[olderIndex + 1];
+        const previous = stateHistory[olderIndex - 1];
+        
+        players.forEach((player, id) => {
+            // The local player is rendered from prediction instead
+            if (id === localPlayerId && this.predictedState) return;
+            
+            const from = older.players.get(id);
+            if (!from) return;
+            
+            const to = newer && newer.players.get(id);
+            if (to) {
+                // Interpolate between the two snapshots
+                const t = Math.min(Math.max((renderTime - older.time) / (newer.time - older.time), 0), 1);
+                this.applyPlayerState(player, {
+                    x: from.x + (to.x - from.x) * t,
+                    y: from.y + (to.y - from.y) * t,
+                    size: from.size + (to.size - from.size) * t,
+                    boosting: from.boosting,
+                    effects: from.effects,
+                    cells: this.interpolateCells(from.cells, to.cells, t)
+                });
+                return;
+            }
+            
+            // Packets are late: extrapolate from the last known velocity
+            const prev = previous && previous.players.get(id);
+            if (prev && renderTime > older.time) {
+                const elapsed = older.time - previous.time;
+                const ahead = Math.min(renderTime - older.time, CONFIG.maxExtrapolation);
+                this.applyPlayerState(player, {
+                    x: from.x + (from.x - prev.x) / elapsed * ahead,
+                    y: from.y + (from.y - prev.y) / elapsed * ahead,
+                    size: from.size,
+                    boosting: from.boosting,
+                    effects: from.effects,
+                    cells: from.cells
+                });
+                return;
+            }
+            
+            this.applyPlayerState(player, from);
+        });
+    }
+    
+    // Cells are matched by index, a split or merge in between snaps to the newer cells
+    interpolateCells(fromCells = [], toCells = [], t) {
+        if (fromCells.length !== toCells.length) return toCells;
+        
+        return toCells.map((to, index) => {
+            const from = fromCells[index];
+            return {
+                x: from.x + (to.x - from.x) * t,
+                y: from.y + (to.y - from.y) * t,
+                size: from.size + (to.size - from.size) * t
+            };
+        });
+    }
+    
+    applyPlayerState(player, state) {
+        player.mesh.position.set(state.x, state.y, 0);
+        
+        // Update size if it changed
+        if (player.size !== state.size) {
+            player.size = state.size;
+            player.mesh.scale.setScalar(player.size);
+        }
+        player.boosting = state.boosting === true;
+        
+        this.updateCellMeshes(player, state.cells || []);
+        this.updateAuras(player, state.effects || []);
+    }
+    
+    // One colored ring around the player per active power-up effect
+    updateAuras(player, effects) {
+        const active = new Set(effects.map(effect => effect.type));
+        player.auras.forEach((aura, type) => {
+            if (!active.has(type)) {
+                scene.remove(aura);
+                player.auras.delete(type);
+            }
+        });
+        
+        effects.forEach((effect, index) => {
+            let aura = player.auras.get(effect.type);
+            if (!aura) {
+                const [r, g, b] = POWER_UP_TYPES[effect.type] ? POWER_UP_TYPES[effect.type].color : [1, 1, 1];
+                aura = new THREE.Mesh(
+                    new THREE.RingGeometry(1.1, 1.2, 48),
+                    new THREE.MeshBasicMaterial({ color: new THREE.Color(r, g, b), transparent: true, opacity: 0.7 })
+                );
+                scene.add(aura);
+                player.auras.set(effect.type, aura);
+            }
+            aura.position.copy(player.mesh.position);
+            aura.scale.setScalar(player.size * (1 + index * CONFIG.auraSpacing));
+        });
+    }
+    
+    // A split player is drawn with one mesh per cell, the main mesh stays
+    // hidden at the center of mass for the camera
+    updateCellMeshes(player, cells) {
+        const split = cells.length > 1;
+        player.mesh.visible = !split;
+        player.trail.forEach(trailMesh => {
+            trailMesh.visible = !split;
+        });
+        
+        while (player.cellMeshes.length > cells.length) {
+            scene.remove(player.cellMeshes.pop());
+        }
+        while (player.cellMeshes.length < cells.length) {
+            const cellMesh = new THREE.Mesh(player.mesh.geometry, player.mesh.material);
+            scene.add(cellMesh);
+            player.cellMeshes.push(cellMesh);
+        }
+        cells.forEach((cell, index) => {
+            player.cellMeshes[index].position.set(cell.x, cell.y, 0);
+            player.cellMeshes[index].scale.setScalar(cell.size);
+        });
+    }
+    
+    // Move the predicted local player with the server speed formula,
+    // stopping at obstacles like the server does
+    predictMovement(state, input, deltaTime) {
+        if (input.x === 0 && input.y === 0) return;
+        
+        const moveSpeed = getMoveSpeed(this.rules, state.size, state.boosting) * getSpeedMultiplier(state.effects) * deltaTime;
+        state.x = Math.min(Math.max(state.x + input.x * moveSpeed, -this.rules.mapWidth), this.rules.mapWidth);
+        state.y = Math.min(Math.max(state.y + input.y * moveSpeed, -this.rules.mapHeight), this.rules.mapHeight);
+        this.obstacles.forEach(obstacle => resolveObstacleCollision(state, obstacle));
+    }
+    
+    // Rebase the prediction on the authoritative state and replay unacknowledged inputs
+    reconcile(serverState) {
+        const ackSeq = serverState.seq || 0;
+        const acked = this.unackedInputs.filter(entry => entry.seq <= ackSeq);
+        this.unackedInputs = this.unackedInputs.filter(entry => entry.seq > ackSeq);
+        
+        // The server keeps applying the last input it processed
+        if (acked.length > 0) {
+            this.currentInput = acked[acked.length - 1].input;
+        }
+        
+        // Split cells move on their own, show them from the snapshots instead
+        if (serverState.cells && serverState.cells.length > 1) {
+            this.predictedState = null;
+            return;
         }
         
+        this.predictedState = {
+            x: serverState.x,
+            y: serverState.y,
+            size: serverState.size,
+            boosting: serverState.boosting,
+            effects: serverState.effects
+        };
+        this.unackedInputs.forEach(entry => {
+            this.predictMovement(this.predictedState, entry.input, entry.duration);
+        });
+    }
+    
+    resetPrediction() {
+        this.inputSeq = 0;
+        this.unackedInputs = [];
+        this.currentInput = { x: 0, y: 0 };
+        this.predictedState = null;
+        this.splitRequested = false;
+    }
+    
+    handleFoodEaten(message) {
+        this.removeFood(message);
+        
         // Add new food if provided
         if (message.newFood) {
             this.createFood(message.newFood);
@@ -946,71 +2061,126 @@ class Game {
     
     handlePlayerEaten(message) {
         if (players.has(message.eaten)) {
-            const player = players.get(message.eaten);
-            scene.remove(player.mesh);
-            world.removeBody(player.body);
-            players.delete(message.eaten);
+            this.removePlayer(message.eaten);
             
             // If local player was eaten
             if (message.eaten === localPlayerId) {
                 // Set state to spectating
                 this.localPlayerReady = false;
-                localPlayerId = null;
+                this.isSpectating = true;
             }
         }
     }
     
     handleGameOver(message) {
-        const winnerInfo = this.playersInfo.find(p => p.id === message.winner);
-        if (!winnerInfo) return;
-
         // Clear all input states immediately
         this.clearInputState();
-
-        // Show winner overlay
-        const overlay = document.createElement('div');
-        overlay.style.position = 'fixed';
-        overlay.style.top = '0';
-        overlay.style.left = '0';
-        overlay.style.width = '100%';
-        overlay.style.height = '100%';
-        overlay.style.backgroundColor = 'rgba(0, 0, 0, 0.8)';
-        overlay.style.color = '#' + winnerInfo.color.toString(16).padStart(6, '0');
-        overlay.style.fontSize = '48px';
-        overlay.style.display = 'flex';
-        overlay.style.flexDirection = 'column';
-        overlay.style.alignItems = 'center';
-        overlay.style.justifyContent = 'center';
-        overlay.style.zIndex = '1000';
-        overlay.innerHTML = `
-            <div>${winnerInfo.name} Wins!</div>
-            <div style="font-size: 24px; margin-top: 20px;">Final Size: ${message.size.toFixed(1)}</div>
-            <div style="font-size: 18px; margin-top: 20px; color: white;">Restarting game...</div>
-        `;
-        document.body.appendChild(overlay);
-
+        
         // Clear game state
         this.clearGameObjects();
+        this.isSpectating = this.spectatorMode;
+        this.spectateTarget = null;
+        this.rematchVoted = false;
         
-        // Remove overlay and clear inputs again after delay
-        setTimeout(() => {
-            overlay.remove();
-            this.clearInputState();
-        }, 3000);
+        // Show the results until everyone goes back to the lobby
+        const winnerInfo = this.playersInfo.find(p => p.id === message.winner);
+        this.setState(GameState.WIN);
+        this.ui.createResultsUI(message, winnerInfo);
+        if (this.spectatorMode) {
+            this.ui.elements['rematch-btn'].style.display = 'none';
+        }
     }
-
-    handleLobbyClosed() {
-        this.resetState();
-        this.ui.createConnectingUI();
+    
+    // Watch a lobby without taking a seat
+    spectateLobby(lobbyCode) {
+        if (!this.network.connected) {
+            alert('Not connected to server');
+            return;
+        }
+        const spectatorName = this.promptPlayerName();
+        if (!spectatorName) return;
         
-        // Clear all UI layers
-        Object.keys(this.ui.layers).forEach(layerName => {
-            this.ui.layers[layerName].innerHTML = '';
-        });
-        this.ui.elements = {};
+        this.pendingJoin = {
+            type: 'spectate_lobby',
+            lobbyId: lobbyCode,
+            name: spectatorName
+        };
+        this.network.send(this.pendingJoin);
+    }
+    
+    handleSpectateStart(message) {
+        this.pendingJoin = null;
+        this.spectatorMode = true;
+        this.isSpectating = true;
+        this.spectateTarget = null;
+        this.lobbyId = message.lobbyId;
+        localPlayerId = null;
+        this.applyRules(message.rules);
+        this.inQueue = false;
+        this.ui.updateQueueStatus(null);
         
-        this.setState(GameState.CONNECTING);
-        this.ui.createConnectingUI();
+        this.setState(GameState.LOBBY);
+        this.ui.createLobbyUI();
+        this.ui.showLobbyCode(message.lobbyId);
+        this.ui.showSpectatorLobby([]);
+    }
+    
+    setSpectateTarget(playerId) {
+        this.spectateTarget = playerId;
+        if (currentState !== GameState.PLAYING) return;
+        
+        const name = this.playersInfo.find(p => p.id === playerId)?.name || 'Unknown';
+        this.ui.updateSpectateBanner(name, this.spectatorMode);
+    }
+    
+    // Follow the next player still in the round
+    cycleSpectateTarget() {
+        const candidates = this.alivePlayerIds.filter(id => id !== localPlayerId);
+        if (candidates.length === 0) return;
+        
+        const next = candidates[(candidates.indexOf(this.spectateTarget) + 1) % candidates.length];
+        this.network.send({
+            type: 'spectate_target',
+            playerId: next
+        });
+        this.setSpectateTarget(next);
+    }
+    
+    sendChat(text) {
+        this.network.send({
+            type: 'chat',
+            text: text.slice(0, MAX_CHAT_LENGTH)
+        });
+    }
+    
+    toggleMute(playerId) {
+        this.network.send({
+            type: 'mute_player',
+            playerId: playerId,
+            muted: !this.mutedPlayers.has(playerId)
+        });
+    }
+    
+    handleMuteUpdate(message) {
+        this.mutedPlayers = new Set(message.mutedPlayers);
+        this.ui.setChatLog(this.ui.chatLog.filter(chat => !this.mutedPlayers.has(chat.playerId)));
+        if (this.lastLobbyUpdate) {
+            this.handleLobbyUpdate(this.lastLobbyUpdate);
+        }
+    }
+    
+    toggleRematch() {
+        if (this.network.send({ type: 'toggle_ready' })) {
+            this.rematchVoted = !this.rematchVoted;
+            this.ui.updateElement('rematch-btn', this.rematchVoted ? 'Cancel Rematch' : 'Rematch');
+        }
+    }
+    
+    // Give up our seat and go back to the main menu
+    leaveLobby() {
+        this.network.send({ type: 'leave_lobby' });
+        this.network.resumeToken = null;
+        this.resetState();
     }
 
     handlePlayerEliminated() {
@@ -1035,10 +2205,26 @@ class Game {
         }, 3000);
     }
 
+    // Arena mode: watch the one who ate us until we respawn
+    handleEaten(message) {
+        this.isSpectating = true;
+        const eater = this.playersInfo.find(p => p.id === message.by)?.name || 'another player';
+        const seconds = Math.ceil(message.respawnIn / 1000);
+        this.ui.createUIElement(`Eaten by ${eater}! Respawning in ${seconds}s`, 32, 'red', 'game', 'respawn-text', '40%');
+    }
+
+    handleRespawn() {
+        this.isSpectating = false;
+        this.spectateTarget = null;
+        ['respawn-text', 'spectate-banner'].forEach(id => {
+            this.ui.elements[id]?.remove();
+            delete this.ui.elements[id];
+        });
+    }
+
     handleElimination() {
-        // Set spectating state
+        // Set spectating state, our seat is kept for the results and a rematch
         this.isSpectating = true;
-        localPlayerId = null;
         
         // Show eliminated message
         const eliminatedText = document.createElement('div');
@@ -1054,7 +2240,7 @@ class Game {
         
         // Create return to lobby button
         const returnButton = document.createElement('button');
-        returnButton.innerText = 'Return to Lobby';
+        returnButton.innerText = 'Leave Lobby';
         returnButton.style.position = 'absolute';
         returnButton.style.top = '50%';
         returnButton.style.left = '50%';
@@ -1069,25 +2255,60 @@ class Game {
         returnButton.style.zIndex = '1000';
         
         returnButton.onclick = () => {
-            this.handleLobbyClosed();
+            this.leaveLobby();
         };
         
         this.ui.layers.game.appendChild(returnButton);
         
-        // Remove UI elements after 5 seconds if player hasn't clicked the button
+        // Remove UI elements after 5 seconds, the results follow at game over
         setTimeout(() => {
-            if (this.isSpectating) {
-                eliminatedText.remove();
-                returnButton.remove();
-                this.handleLobbyClosed();
-            }
+            eliminatedText.remove();
+            returnButton.remove();
         }, 5000);
     }
 
-    handlePrepareReconnect() {
-        // Prepare for reconnection
-        this.reconnecting = true;
-        this.clearInputState();
+    handleServerError(message) {
+        console.warn(`Server error (${message.code}): ${message.message}`);
+
+        // Only lobby errors are caused by something the player did
+        switch (message.code) {
+            case ERROR_CODES.LOBBY_NOT_FOUND:
+            case ERROR_CODES.LOBBY_FULL:
+            case ERROR_CODES.LOBBY_LOCKED:
+            case ERROR_CODES.SPECTATORS_FULL:
+            case ERROR_CODES.NOT_ENOUGH_PLAYERS:
+            case ERROR_CODES.GAME_IN_PROGRESS:
+            case ERROR_CODES.SERVER_FULL:
+            case ERROR_CODES.TOO_MANY_LOBBIES:
+                alert(message.message);
+                break;
+            case ERROR_CODES.PASSWORD_REQUIRED:
+            case ERROR_CODES.WRONG_PASSWORD:
+                this.retryWithPassword(message);
+                break;
+            case ERROR_CODES.INVALID_FIELD:
+                // A rejected settings change, show the lobby's values again
+                if (currentState === GameState.LOBBY && this.lobbySettings) {
+                    alert(message.message);
+                    this.ui.updateLobbySettings(this.lobbySettings, true);
+                }
+                break;
+        }
+    }
+
+    // Ask for the password of a protected lobby and send the join again
+    retryWithPassword(message) {
+        if (!this.pendingJoin) return;
+        
+        const password = prompt(message.message, '');
+        if (!password) {
+            this.pendingJoin = null;
+            return;
+        }
+        this.network.send({
+            ...this.pendingJoin,
+            password: password.slice(0, MAX_PASSWORD_LENGTH)
+        });
     }
 
     toggleReady() {
@@ -1096,61 +2317,137 @@ class Game {
         });
     }
     
-    requestLobby() {
-        if (!this.lobbyId) {
-            this.setState(GameState.CONNECTING);
-            this.ui.createConnectingUI();
-            return;
-        }
-
-        // Send request to server
+    // Host controls
+    kickPlayer(playerId) {
+        this.network.send({ type: 'kick_player', playerId: playerId });
+    }
+    
+    transferHost(playerId) {
+        this.network.send({ type: 'transfer_host', playerId: playerId });
+    }
+    
+    setPlayerTeam(playerId, team) {
+        this.network.send({ type: 'set_player_team', playerId: playerId, team: team });
+    }
+    
+    balanceTeams() {
+        this.network.send({ type: 'balance_teams' });
+    }
+    
+    toggleLobbyLock() {
+        this.network.send({ type: 'set_lobby_locked', locked: !this.lobbyLocked });
+    }
+    
+    forceStart() {
+        this.network.send({ type: 'force_start' });
+    }
+    
+    updateLobbySetting(key, value) {
+        if (typeof value === 'number' && !Number.isFinite(value)) return;
         this.network.send({
-            type: 'request_lobby'
+            type: 'update_lobby_settings',
+            settings: { [key]: value }
         });
     }
     
-    createLobby() {
+    handleKicked() {
+        this.network.resumeToken = null;
+        alert('You were kicked from the lobby.');
+        this.resetState();
+    }
+    
+    createLobby(isPrivate) {
         if (!this.network.connected) {
             alert('Not connected to server');
             return;
         }
+        
+        let password = '';
+        if (isPrivate) {
+            password = prompt('Lobby password (leave empty for none)', '');
+            if (password === null) return;
+            password = password.slice(0, MAX_PASSWORD_LENGTH);
+        }
+        this.lobbyPassword = password;
+        
         this.network.send({
-            type: 'create_lobby'
+            type: 'create_lobby',
+            isPrivate: isPrivate,
+            password: password || null
         });
     }
 
     handleLobbyCreated(message) {
         this.lobbyId = message.lobbyId;
-        const playerName = prompt('Enter your name', 'Player' + Math.floor(Math.random() * 1000));
+        const playerName = this.promptPlayerName();
         if (!playerName) return;
         
         // Join the newly created lobby
         this.network.send({
             type: 'join_lobby',
             lobbyId: message.lobbyId,
+            name: playerName,
+            password: this.lobbyPassword || null
+        });
+    }
+
+    // Ask for a name, trimmed to what the server accepts
+    promptPlayerName() {
+        const playerName = prompt('Enter your name', 'Player' + Math.floor(Math.random() * 1000));
+        return playerName ? playerName.trim().slice(0, MAX_NAME_LENGTH) : null;
+    }
+
+    // Enter the quick play queue, or leave it when already queued
+    quickPlay() {
+        if (!this.network.connected) {
+            alert('Not connected to server');
+            return;
+        }
+        if (this.inQueue) {
+            this.network.send({ type: 'leave_queue' });
+            return;
+        }
+        
+        const playerName = this.promptPlayerName();
+        if (!playerName) return;
+        
+        this.network.send({
+            type: 'quick_play',
             name: playerName
         });
     }
+    
+    handleQueueUpdate(message) {
+        this.inQueue = true;
+        this.ui.updateQueueStatus(message);
+    }
 
     joinLobby(lobbyCode) {
         if (!this.network.connected) {
             alert('Not connected to server');
             return;
         }
-        const playerName = prompt('Enter your name', 'Player' + Math.floor(Math.random() * 1000));
+        const playerName = this.promptPlayerName();
         if (!playerName) return;
+        
+        // The server only seats clients that are not queued
+        if (this.inQueue) {
+            this.network.send({ type: 'leave_queue' });
+        }
 
-        this.network.send({
+        this.pendingJoin = {
             type: 'join_lobby',
             lobbyId: lobbyCode,
             name: playerName
-        });
+        };
+        this.network.send(this.pendingJoin);
     }
 
-    handleLobbyClosed() {
-        alert('Lobby has been closed. Returning to main menu.');
-        this.setState(GameState.CONNECTING);
-        this.ui.createConnectingUI();
+    // The server closed our lobby, e.g. after it sat idle
+    handleLobbyClosed(message) {
+        alert(`${message.reason || 'Lobby has been closed'}. Returning to main menu.`);
+        this.network.resumeToken = null;
+        this.resetState();
     }
 
     createPlayer(playerInfo) {
@@ -1207,31 +2504,40 @@ class Game {
             trail.push(trailMesh);
         }
         
-        // Create physics body
-        const playerBody = new CANNON.Body({ 
-            mass: 1, 
-            shape: new CANNON.Sphere(playerInfo.size) 
-        });
-        playerBody.position.set(playerInfo.x, playerInfo.y, 0);
-        playerBody.type = CANNON.Body.DYNAMIC;
-        playerBody.linearDamping = 0.9;
-        world.addBody(playerBody);
-        
         players.set(playerInfo.id, {
             mesh: playerMesh,
-            body: playerBody,
             size: playerInfo.size,
-            trail: trail
+            trail: trail,
+            cellMeshes: [], // One mesh per cell while the player is split
+            auras: new Map() // Maps power-up type -> ring mesh
         });
     }
     
+    removePlayer(id) {
+        const player = players.get(id);
+        if (!player) return;
+        
+        scene.remove(player.mesh);
+        player.cellMeshes.forEach(cellMesh => scene.remove(cellMesh));
+        player.auras.forEach(aura => scene.remove(aura));
+        if (player.trail) {
+            player.trail.forEach(trailMesh => {
+                scene.remove(trailMesh);
+            });
+        }
+        players.delete(id);
+    }
+    
+    // Pellets ejected by a boost carry a mass and are drawn bigger and golden
     createFood(foodInfo) {
-        const foodGeometry = new THREE.CircleGeometry(CONFIG.foodSize, 32);
+        const pellet = foodInfo.mass !== undefined;
+        const scale = pellet ? Math.min(Math.sqrt(foodInfo.mass / this.rules.growthRate), CONFIG.maxPelletScale) : 1;
+        const foodGeometry = new THREE.CircleGeometry(this.rules.foodSize * scale, 32);
         const foodMaterial = new THREE.ShaderMaterial({
             uniforms: {
                 time: { value: 0 },
                 pulseSpeed: { value: CONFIG.pulseSpeed * 2 },
-                glowColor: { value: new THREE.Vector3(1.0, 0.3, 0.3) }
+                glowColor: { value: pellet ? new THREE.Vector3(1.0, 0.8, 0.3) : new THREE.Vector3(1.0, 0.3, 0.3) }
             },
             vertexShader: `
                 varying vec2 vUv;
@@ -1262,7 +2568,7 @@ class Game {
         // Add particle effect
         const particles = [];
         for (let i = 0; i < CONFIG.foodParticleCount; i++) {
-            const particleGeometry = new THREE.CircleGeometry(CONFIG.foodSize * 0.2, 16);
+            const particleGeometry = new THREE.CircleGeometry(this.rules.foodSize * 0.2, 16);
             const particleMaterial = new THREE.ShaderMaterial({
                 uniforms: {
                     time: { value: 0 },
@@ -1294,7 +2600,7 @@ class Game {
             });
             const particle = new THREE.Mesh(particleGeometry, particleMaterial);
             const angle = (i / CONFIG.foodParticleCount) * Math.PI * 2;
-            const radius = CONFIG.foodSize * 1.5;
+            const radius = this.rules.foodSize * scale * 1.5;
             particle.position.set(
                 food.position.x + Math.cos(angle) * radius,
                 food.position.y + Math.sin(angle) * radius,
@@ -1309,21 +2615,84 @@ class Game {
         food.userData.particles = particles;
         scene.add(food);
         foodItems.push(food);
-
-        const foodBody = new CANNON.Body({ 
-            mass: 0.1, 
-            shape: new CANNON.Sphere(CONFIG.foodSize) 
-        });
-        foodBody.position.set(foodInfo.x, foodInfo.y, 0);
-        world.addBody(foodBody);
-        foodBodies.push(foodBody);
+    }
+    
+    // Circular obstacle or wall rectangle
+    createObstacle(obstacle) {
+        const geometry = obstacle.kind === 'wall' ?
+            new THREE.PlaneGeometry(obstacle.halfWidth * 2, obstacle.halfHeight * 2) :
+            new THREE.CircleGeometry(obstacle.radius, 48);
+        const mesh = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({ color: CONFIG.obstacleColor }));
+        mesh.position.set(obstacle.x, obstacle.y, 0);
+        scene.add(mesh);
+        mapObjects.push(mesh);
+    }
+    
+    // Spikes, drawn as a star below the players that can pass over them
+    createHazard(hazard) {
+        const shape = new THREE.Shape();
+        const points = CONFIG.hazardSpikes * 2;
+        for (let i = 0; i < points; i++) {
+            const angle = (i / points) * Math.PI * 2;
+            const radius = i % 2 === 0 ? hazard.radius : hazard.radius * 0.6;
+            if (i === 0) {
+                shape.moveTo(Math.cos(angle) * radius, Math.sin(angle) * radius);
+            } else {
+                shape.lineTo(Math.cos(angle) * radius, Math.sin(angle) * radius);
+            }
+        }
+        const mesh = new THREE.Mesh(
+            new THREE.ShapeGeometry(shape),
+            new THREE.MeshBasicMaterial({ color: CONFIG.hazardColor })
+        );
+        mesh.position.set(hazard.x, hazard.y, -0.1);
+        scene.add(mesh);
+        mapObjects.push(mesh);
+    }
+    
+    // Power-up pickup, a spinning diamond in the color of its type
+    createPowerUp(powerUp) {
+        const [r, g, b] = POWER_UP_TYPES[powerUp.type] ? POWER_UP_TYPES[powerUp.type].color : [1, 1, 1];
+        const mesh = new THREE.Mesh(
+            new THREE.CircleGeometry(this.rules.powerUpSize, 4),
+            new THREE.MeshBasicMaterial({ color: new THREE.Color(r, g, b) })
+        );
+        mesh.position.set(powerUp.x, powerUp.y, 0);
+        scene.add(mesh);
+        powerUps.set(powerUp.id, mesh);
+    }
+    
+    removePowerUp(id) {
+        const mesh = powerUps.get(id);
+        if (!mesh) return;
+        
+        scene.remove(mesh);
+        powerUps.delete(id);
+    }
+    
+    // Remove the food item at the given position
+    removeFood(foodInfo) {
+        const foodIndex = foodItems.findIndex(food => 
+            food.position.x === foodInfo.x && food.position.y === foodInfo.y);
+            
+        if (foodIndex !== -1) {
+            const food = foodItems[foodIndex];
+            scene.remove(food);
+            if (food.userData.particles) {
+                food.userData.particles.forEach(particle => {
+                    scene.remove(particle);
+                });
+            }
+            foodItems.splice(foodIndex, 1);
+        }
     }
     
     clearGameObjects() {
-        // Remove players and their trails
+        // Remove players, their cells, auras and trails
         players.forEach(player => {
             scene.remove(player.mesh);
-            world.removeBody(player.body);
+            player.cellMeshes.forEach(cellMesh => scene.remove(cellMesh));
+            player.auras.forEach(aura => scene.remove(aura));
             if (player.trail) {
                 player.trail.forEach(trailMesh => {
                     scene.remove(trailMesh);
@@ -1341,9 +2710,21 @@ class Game {
                 });
             }
         });
-        foodBodies.forEach(body => world.removeBody(body));
         foodItems.length = 0;
-        foodBodies.length = 0;
+        
+        powerUps.forEach(mesh => scene.remove(mesh));
+        powerUps.clear();
+        
+        mapObjects.forEach(mesh => scene.remove(mesh));
+        mapObjects.length = 0;
+        this.obstacles = [];
+        
+        // Drop buffered snapshots and prediction from the previous round
+        stateHistory.length = 0;
+        this.receivedSnapshots.clear();
+        this.lastSnapshotId = null;
+        this.ackedSnapshotId = null;
+        this.resetPrediction();
         
         // Remove background particles
         particles.forEach(particle => {
@@ -1354,10 +2735,12 @@ class Game {
         // Reset camera position
         camera.position.set(0, 0, 10);
         camera.lookAt(0, 0, 0);
+        camera.zoom = 1;
+        camera.updateProjectionMatrix();
         
         // Clear any remaining UI elements from game layer
         if (this.ui && this.ui.layers.game) {
-            this.ui.layers.game.innerHTML = '';
+            this.ui.clearLayer('game');
         }
     }
 
@@ -1366,6 +2749,13 @@ class Game {
         this.localPlayerReady = false;
         this.lobbyId = null;
         this.isSpectating = false;
+        this.spectatorMode = false;
+        this.spectateTarget = null;
+        this.alivePlayerIds = [];
+        this.inQueue = false;
+        this.lastLobbyUpdate = null;
+        this.mutedPlayers = new Set();
+        this.ui.chatLog = [];
         localPlayerId = null;
         currentState = GameState.CONNECTING;
         
@@ -1387,22 +2777,74 @@ class Game {
     }
     
     update() {
+        const now = performance.now();
+        const deltaTime = (now - this.lastUpdateTime) / 1000;
+        this.lastUpdateTime = now;
+        
         if (currentState === GameState.PLAYING) {
-            world.step(1 / 60);
+            this.interpolatePlayers();
             
-            // Send player input to server
-            const inputState = this.getInputState();
-            if (inputState && (inputState.x !== 0 || inputState.y !== 0)) {
-                console.log('Sending input:', inputState); // Debug log
-                this.network.send({
+            // Send player input to server, a split goes out right away
+            let inputState = this.getInputState();
+            if (this.splitRequested && !this.isSpectating) {
+                inputState = { ...(inputState || this.currentInput), split: true };
+            }
+            if (inputState && (inputState.x !== 0 || inputState.y !== 0 || inputState.split || inputState.down)) {
+                const sent = this.network.send({
                     type: 'player_input',
                     input: inputState,
+                    seq: this.inputSeq + 1,
                     lobbyId: this.lobbyId
                 });
+                if (sent) {
+                    this.splitRequested = false;
+                    this.inputSeq++;
+                    this.unackedInputs.push({
+                        seq: this.inputSeq,
+                        input: normalizeInput(inputState),
+                        duration: 0
+                    });
+                }
             }
+            
+            this.updatePrediction(deltaTime);
+            this.updateCamera();
+            this.acknowledgeSnapshot(now);
+        }
+    }
+    
+    // Follow the local player, zooming out as it grows like its view radius
+    // Once eliminated or when spectating, follow the spectate target instead
+    updateCamera() {
+        const followed = players.get(localPlayerId) || players.get(this.spectateTarget);
+        if (!followed) return;
+        
+        camera.position.x = followed.mesh.position.x;
+        camera.position.y = followed.mesh.position.y;
+        
+        const zoom = 1 / Math.sqrt(Math.max(followed.size, 1));
+        if (Math.abs(camera.zoom - zoom) > 0.001) {
+            camera.zoom = zoom;
+            camera.updateProjectionMatrix();
         }
     }
     
+    // Advance the local player's predicted position for this frame
+    updatePrediction(deltaTime) {
+        const localPlayer = players.get(localPlayerId);
+        if (!localPlayer || !this.predictedState) return;
+        
+        // Newest unacknowledged input wins, otherwise the one the server has
+        const latest = this.unackedInputs[this.unackedInputs.length - 1];
+        const input = latest ? latest.input : this.currentInput;
+        if (latest) {
+            latest.duration += deltaTime;
+        }
+        
+        this.predictMovement(this.predictedState, input, deltaTime);
+        this.applyPlayerState(localPlayer, this.predictedState);
+    }
+    
     getInputState() {
         // Don't send inputs if spectating
         if (this.isSpectating || !this.lobbyId || currentState !== GameState.PLAYING) {
@@ -1431,16 +2873,19 @@ class Game {
             input.y /= length;
         }
         
+        // Holding the mouse button or the boost key asks the server to boost
+        const boosting = InputState.mouse.down || InputState.isKeyPressed(InputState.controls.boost);
+        
         // Add mouse input for direction
         const mouseInput = {
             x: InputState.mouse.x,
             y: InputState.mouse.y,
-            down: InputState.mouse.down
+            down: boosting
         };
         
         // If mouse is moved significantly or clicked, prioritize mouse input
         const mouseThreshold = 0.1;
-        if (Math.abs(mouseInput.x) > mouseThreshold || Math.abs(mouseInput.y) > mouseThreshold || mouseInput.down) {
+        if (Math.abs(mouseInput.x) > mouseThreshold || Math.abs(mouseInput.y) > mouseThreshold || InputState.mouse.down) {
             return mouseInput; // Mouse input is already normalized in handleMouseMove
         }
         
@@ -1448,10 +2893,16 @@ class Game {
         if (input.x !== 0 || input.y !== 0) {
             return {
                 x: input.x,
-                y: input.y
+                y: input.y,
+                down: boosting
             };
         }
         
+        // Boosting without a direction keeps the current heading, like a split
+        if (boosting) {
+            return { ...this.currentInput, down: true };
+        }
+        
         return null;
     }
 }
@@ -1469,7 +2920,7 @@ class InputHandler {
     }
     
     handleKeyDown(event) {
-        if (!event.repeat) {
+        if (!event.repeat && !(event.target instanceof HTMLInputElement)) {
             InputState.addKey(event.key);
             this.processInput();
         }
@@ -1541,17 +2992,27 @@ function animate() {
             }
             player.trail[0].position.copy(player.mesh.position);
             
-            // Update trail sizes
+            // Update trail sizes, a boost leaves a fuller streak behind
+            const taper = player.boosting ? 0.2 : 0.5;
             player.trail.forEach((trailMesh, i) => {
-                const scale = player.size * (1 - (i / CONFIG.trailLength) * 0.5);
+                const scale = player.size * (1 - (i / CONFIG.trailLength) * taper);
                 trailMesh.scale.set(scale, scale, 1);
             });
         }
         
-        // Update shader uniforms
+        // Update shader uniforms, the glow pulses faster while boosting
         if (player.mesh.material.uniforms) {
             player.mesh.material.uniforms.time.value = time;
+            player.mesh.material.uniforms.pulseSpeed.value = player.boosting ? CONFIG.boostPulseSpeed : CONFIG.pulseSpeed;
         }
+        
+        player.auras.forEach(aura => {
+            aura.material.opacity = 0.5 + 0.3 * Math.sin(time * 4);
+        });
+    });
+    
+    powerUps.forEach(mesh => {
+        mesh.rotation.z = time * CONFIG.powerUpSpinSpeed;
     });
     
     // Update food particles and shader uniforms
@@ -0,0 +1,78 @@
+// Area of interest management
+// Decides which players and food a client can see: everything within a view
+// radius around its own player, growing with the player's size. Entities
+// only leave the view once they are LEAVE_MARGIN times further than the
+// radius, so they don't flicker in and out at the edge.
+
+const LEAVE_MARGIN = 1.1;
+
+function getViewRadius(baseRadius, size) {
+    return baseRadius * Math.sqrt(Math.max(size, 1));
+}
+
+// Compute what viewer can see in the simulation
+// previous is the result of the last call for this viewer (or null) and is
+// used for the hysteresis and to report entered/left entities.
+// Returns {players: Set of ids, food: Set of food items, entered, left}
+function computeInterest(simulation, viewer, baseRadius, previous) {
+    const radius = getViewRadius(baseRadius, viewer.size);
+    const leaveRadius = radius * LEAVE_MARGIN;
+    const players = new Set();
+    const food = new Set();
+
+    simulation.players.forEach((player, id) => {
+        if (player === viewer) {
+            players.add(id);
+            return;
+        }
+
+        // Players count as visible as soon as their edge is in range
+        const dx = player.x - viewer.x;
+        const dy = player.y - viewer.y;
+        const distance = Math.sqrt(dx * dx + dy * dy) - player.size;
+        const limit = previous && previous.players.has(id) ? leaveRadius : radius;
+        if (distance <= limit) {
+            players.add(id);
+        }
+    });
+
+    simulation.findFoodInRadius(viewer.x, viewer.y, leaveRadius).forEach(item => {
+        if (previous && previous.food.has(item)) {
+            food.add(item);
+            return;
+        }
+
+        const dx = item.x - viewer.x;
+        const dy = item.y - viewer.y;
+        if (dx * dx + dy * dy <= radius * radius) {
+            food.add(item);
+        }
+    });
+
+    const entered = { players: [], food: [] };
+    const left = { players: [], food: [] };
+
+    players.forEach(id => {
+        if (!previous || !previous.players.has(id)) entered.players.push(id);
+    });
+    food.forEach(item => {
+        if (!previous || !previous.food.has(item)) entered.food.push(item);
+    });
+
+    // Entities that no longer exist (eaten) are reported by their own events
+    if (previous) {
+        previous.players.forEach(id => {
+            if (!players.has(id) && simulation.players.has(id)) left.players.push(id);
+        });
+        previous.food.forEach(item => {
+            if (!food.has(item) && simulation.hasFood(item)) left.food.push(item);
+        });
+    }
+
+    return { players, food, entered, left };
+}
+
+module.exports = {
+    getViewRadius,
+    computeInterest
+};
@@ -0,0 +1,57 @@
+// Per-lobby rule settings
+// The host can change these before a round starts. Each entry is a
+// validation rule (see validation.js) giving the bounds or options the
+// server accepts, plus a label for the lobby UI.
+
+// Game modes: 'elimination' rounds end with one survivor, 'arena' rounds
+// never end and players drop in and respawn, 'teams' rounds end with one
+// team left
+const GAME_MODES = ['elimination', 'arena', 'teams'];
+
+// Teams in team mode, the lobby uses the first teamCount of them
+const TEAMS = [
+    { name: 'Red', color: 0xdd4444 },
+    { name: 'Blue', color: 0x4477dd },
+    { name: 'Green', color: 0x44bb55 },
+    { name: 'Yellow', color: 0xddbb33 }
+];
+
+const LOBBY_SETTINGS = {
+    mode: { type: 'string', options: GAME_MODES, label: 'Mode' },
+    teamCount: { type: 'integer', min: 2, max: TEAMS.length, label: 'Teams' },
+    mapWidth: { type: 'integer', min: 10, max: 60, label: 'Map width' },
+    mapHeight: { type: 'integer', min: 8, max: 45, label: 'Map height' },
+    foodCount: { type: 'integer', min: 10, max: 500, label: 'Food count' },
+    growthRate: { type: 'number', min: 0.01, max: 0.2, step: 0.01, label: 'Growth rate' },
+    absorptionThreshold: { type: 'number', min: 1.05, max: 2, step: 0.05, label: 'Absorb ratio' },
+    tickRate: { type: 'integer', min: 20, max: 60, label: 'Tick rate' },
+    maxPlayers: { type: 'integer', min: 2, max: 10, label: 'Max players' }
+};
+
+// Settings for a new lobby, taken from the server defaults
+function createLobbySettings(defaults) {
+    const settings = {};
+    Object.keys(LOBBY_SETTINGS).forEach(key => {
+        settings[key] = defaults[key];
+    });
+    return settings;
+}
+
+// Copy the known settings from changes onto settings
+// Values must already be checked with validateSettingChanges().
+function applySettingChanges(settings, changes) {
+    Object.keys(LOBBY_SETTINGS).forEach(key => {
+        if (changes[key] !== undefined && changes[key] !== null) {
+            settings[key] = changes[key];
+        }
+    });
+    return settings;
+}
+
+module.exports = {
+    GAME_MODES,
+    TEAMS,
+    LOBBY_SETTINGS,
+    createLobbySettings,
+    applySettingChanges
+};
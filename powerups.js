@@ -0,0 +1,93 @@
+// Power-up types
+// Pickups the simulation spawns on the map. Collecting one gives its player
+// a timed effect, tracked per player in the tick. Each type has a duration
+// in seconds, a label and color for the client, and any of these hooks:
+//   speedMultiplier: movement speed factor while active
+//   foodReach: extra distance the player's cells eat food from
+//   shield: true to keep the player's cells from being absorbed
+//   update(simulation, player, definition, deltaTime): called every tick
+//     while active
+// Register new types with registerPowerUp().
+
+const POWER_UP_TYPES = {};
+
+function registerPowerUp(type, definition) {
+    POWER_UP_TYPES[type] = { type, ...definition };
+}
+
+// Shrink the cells of unshielded opponents within the ray's radius
+function shrinkNearbyPlayers(simulation, player, definition, deltaTime) {
+    const { radius, shrinkRate } = definition;
+    const minSize = simulation.rules.playerStartSize;
+
+    simulation.players.forEach(other => {
+        if (other === player || simulation.areTeammates(player, other) || hasEffectHook(other.effects, 'shield')) return;
+
+        other.cells.forEach(cell => {
+            const dx = cell.x - player.x;
+            const dy = cell.y - player.y;
+            if (dx * dx + dy * dy > radius * radius || cell.size <= minSize) return;
+
+            cell.size = Math.max(cell.size * (1 - shrinkRate * deltaTime), minSize);
+        });
+    });
+}
+
+registerPowerUp('speed', {
+    label: 'Speed',
+    color: [0.3, 0.8, 1.0],
+    duration: 6,
+    speedMultiplier: 1.5
+});
+
+registerPowerUp('shield', {
+    label: 'Shield',
+    color: [0.4, 1.0, 0.5],
+    duration: 5,
+    shield: true
+});
+
+registerPowerUp('magnet', {
+    label: 'Magnet',
+    color: [1.0, 0.8, 0.2],
+    duration: 8,
+    foodReach: 3
+});
+
+registerPowerUp('shrink', {
+    label: 'Shrink Ray',
+    color: [0.8, 0.4, 1.0],
+    duration: 4,
+    radius: 6, // Reach of the ray around the player
+    shrinkRate: 0.15, // Share of size lost per second, down to the start size
+    update: shrinkNearbyPlayers
+});
+
+// Whether any of the effects ({type} entries) has the given hook set
+function hasEffectHook(effects, hook) {
+    return effects.some(effect => POWER_UP_TYPES[effect.type] && POWER_UP_TYPES[effect.type][hook]);
+}
+
+// Combined speed factor of the effects
+function getSpeedMultiplier(effects = []) {
+    return effects.reduce((multiplier, effect) => {
+        const definition = POWER_UP_TYPES[effect.type];
+        return multiplier * (definition && definition.speedMultiplier ? definition.speedMultiplier : 1);
+    }, 1);
+}
+
+// Largest extra food reach of the effects
+function getFoodReach(effects) {
+    return effects.reduce((reach, effect) => {
+        const definition = POWER_UP_TYPES[effect.type];
+        return Math.max(reach, definition && definition.foodReach ? definition.foodReach : 0);
+    }, 0);
+}
+
+module.exports = {
+    POWER_UP_TYPES,
+    registerPowerUp,
+    hasEffectHook,
+    getSpeedMultiplier,
+    getFoodReach
+};
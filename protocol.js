@@ -0,0 +1,243 @@
+// Wire protocol shared by server.js and game.js
+// The format is negotiated through the WebSocket subprotocol. The binary
+// format packs the high-frequency messages (game_update, player_input,
+// snapshot_ack) with typed layouts from MESSAGE_SCHEMAS; every other message
+// is carried as UTF-8 JSON inside a binary frame. The JSON format sends plain
+// JSON text and is kept for debugging.
+
+const PROTOCOLS = {
+    BINARY: 'io-game.binary.v1',
+    JSON: 'io-game.json.v1'
+};
+
+// Message code for messages without a binary layout (JSON payload)
+const JSON_MESSAGE_CODE = 0;
+
+// Field types: 'u8', 'u16', 'u32', 'i32', 'f32', 'f64', 'bool', 'string',
+// { optional: type } (null when absent), { array: type }, { object: fields }
+const CELL_FIELDS = [
+    ['x', 'i32'], // Quantized, see snapshot.js
+    ['y', 'i32'],
+    ['size', 'i32']
+];
+
+const EFFECT_FIELDS = [
+    ['type', 'string'], // Power-up type, see powerups.js
+    ['remaining', 'u32'] // Milliseconds
+];
+
+const PLAYER_STATE_FIELDS = [
+    ['id', 'string'],
+    ['x', 'i32'], // Quantized, see snapshot.js
+    ['y', 'i32'],
+    ['size', 'i32'],
+    ['seq', 'u32'],
+    ['boosting', 'bool'],
+    ['effects', { array: { object: EFFECT_FIELDS } }], // Active power-up effects
+    ['cells', { array: { object: CELL_FIELDS } }] // Empty unless the player is split
+];
+
+const MESSAGE_SCHEMAS = {
+    game_update: {
+        code: 1,
+        fields: [
+            ['time', 'f64'],
+            ['snapshot', 'u32'],
+            ['baseline', { optional: 'u32' }],
+            ['players', { array: { object: PLAYER_STATE_FIELDS } }],
+            ['removed', { array: 'string' }]
+        ]
+    },
+    player_input: {
+        code: 2,
+        fields: [
+            ['lobbyId', { optional: 'string' }],
+            ['input', { object: [['x', 'f32'], ['y', 'f32'], ['down', 'bool'], ['split', 'bool']] }],
+            ['seq', { optional: 'u32' }]
+        ]
+    },
+    snapshot_ack: {
+        code: 3,
+        fields: [
+            ['snapshot', 'u32']
+        ]
+    }
+};
+
+// Maps message code -> [type, schema]
+const SCHEMAS_BY_CODE = new Map(
+    Object.entries(MESSAGE_SCHEMAS).map(([type, schema]) => [schema.code, [type, schema]])
+);
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+// Growable little-endian buffer writer
+class BinaryWriter {
+    constructor(size = 256) {
+        this.buffer = new ArrayBuffer(size);
+        this.view = new DataView(this.buffer);
+        this.bytes = new Uint8Array(this.buffer);
+        this.offset = 0;
+    }
+
+    ensure(length) {
+        if (this.offset + length <= this.buffer.byteLength) return;
+
+        let size = this.buffer.byteLength * 2;
+        while (size < this.offset + length) size *= 2;
+
+        const buffer = new ArrayBuffer(size);
+        new Uint8Array(buffer).set(this.bytes);
+        this.buffer = buffer;
+        this.view = new DataView(buffer);
+        this.bytes = new Uint8Array(buffer);
+    }
+
+    u8(value) { this.ensure(1); this.view.setUint8(this.offset, value); this.offset += 1; }
+    u16(value) { this.ensure(2); this.view.setUint16(this.offset, value, true); this.offset += 2; }
+    u32(value) { this.ensure(4); this.view.setUint32(this.offset, value, true); this.offset += 4; }
+    i32(value) { this.ensure(4); this.view.setInt32(this.offset, value, true); this.offset += 4; }
+    f32(value) { this.ensure(4); this.view.setFloat32(this.offset, value, true); this.offset += 4; }
+    f64(value) { this.ensure(8); this.view.setFloat64(this.offset, value, true); this.offset += 8; }
+    bool(value) { this.u8(value ? 1 : 0); }
+
+    string(value) {
+        const encoded = textEncoder.encode(String(value));
+        this.u16(encoded.length);
+        this.ensure(encoded.length);
+        this.bytes.set(encoded, this.offset);
+        this.offset += encoded.length;
+    }
+
+    finish() {
+        return new Uint8Array(this.buffer, 0, this.offset);
+    }
+}
+
+// Little-endian buffer reader over an ArrayBuffer, Buffer or typed array
+class BinaryReader {
+    constructor(data) {
+        this.bytes = data instanceof ArrayBuffer ?
+            new Uint8Array(data) :
+            new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+        this.view = new DataView(this.bytes.buffer, this.bytes.byteOffset, this.bytes.byteLength);
+        this.offset = 0;
+    }
+
+    u8() { const value = this.view.getUint8(this.offset); this.offset += 1; return value; }
+    u16() { const value = this.view.getUint16(this.offset, true); this.offset += 2; return value; }
+    u32() { const value = this.view.getUint32(this.offset, true); this.offset += 4; return value; }
+    i32() { const value = this.view.getInt32(this.offset, true); this.offset += 4; return value; }
+    f32() { const value = this.view.getFloat32(this.offset, true); this.offset += 4; return value; }
+    f64() { const value = this.view.getFloat64(this.offset, true); this.offset += 8; return value; }
+    bool() { return this.u8() !== 0; }
+
+    string() {
+        const length = this.u16();
+        if (this.offset + length > this.bytes.byteLength) {
+            throw new RangeError('String exceeds message length');
+        }
+        const value = textDecoder.decode(this.bytes.subarray(this.offset, this.offset + length));
+        this.offset += length;
+        return value;
+    }
+
+    remaining() {
+        return this.bytes.subarray(this.offset);
+    }
+}
+
+function writeValue(writer, type, value) {
+    if (typeof type === 'string') {
+        writer[type](value);
+    } else if (type.optional) {
+        const present = value !== null && value !== undefined;
+        writer.bool(present);
+        if (present) writeValue(writer, type.optional, value);
+    } else if (type.array) {
+        const items = value || [];
+        writer.u16(items.length);
+        items.forEach(item => writeValue(writer, type.array, item));
+    } else if (type.object) {
+        type.object.forEach(([name, fieldType]) => writeValue(writer, fieldType, value[name]));
+    }
+}
+
+function readValue(reader, type) {
+    if (typeof type === 'string') {
+        return reader[type]();
+    } else if (type.optional) {
+        return reader.bool() ? readValue(reader, type.optional) : null;
+    } else if (type.array) {
+        const length = reader.u16();
+        const items = [];
+        for (let i = 0; i < length; i++) {
+            items.push(readValue(reader, type.array));
+        }
+        return items;
+    } else if (type.object) {
+        const object = {};
+        type.object.forEach(([name, fieldType]) => {
+            object[name] = readValue(reader, fieldType);
+        });
+        return object;
+    }
+    throw new TypeError('Unknown field type');
+}
+
+// Encode a message for the given subprotocol
+function encodeMessage(message, protocol) {
+    if (protocol !== PROTOCOLS.BINARY) {
+        return JSON.stringify(message);
+    }
+
+    const writer = new BinaryWriter();
+    const schema = MESSAGE_SCHEMAS[message.type];
+    if (schema) {
+        writer.u8(schema.code);
+        writeValue(writer, { object: schema.fields }, message);
+    } else {
+        writer.u8(JSON_MESSAGE_CODE);
+        const encoded = textEncoder.encode(JSON.stringify(message));
+        writer.ensure(encoded.length);
+        writer.bytes.set(encoded, writer.offset);
+        writer.offset += encoded.length;
+    }
+    return writer.finish();
+}
+
+// Decode a received frame, text frames are always JSON
+function decodeMessage(data, isBinary) {
+    if (!isBinary) {
+        return JSON.parse(typeof data === 'string' ? data : data.toString());
+    }
+
+    const reader = new BinaryReader(data);
+    const code = reader.u8();
+    if (code === JSON_MESSAGE_CODE) {
+        return JSON.parse(textDecoder.decode(reader.remaining()));
+    }
+
+    const entry = SCHEMAS_BY_CODE.get(code);
+    if (!entry) {
+        throw new TypeError(`Unknown binary message code: ${code}`);
+    }
+    const [type, schema] = entry;
+    return { type, ...readValue(reader, { object: schema.fields }) };
+}
+
+// Server-side subprotocol selection, prefers binary over JSON
+function selectProtocol(offered) {
+    if (offered.has(PROTOCOLS.BINARY)) return PROTOCOLS.BINARY;
+    if (offered.has(PROTOCOLS.JSON)) return PROTOCOLS.JSON;
+    return false;
+}
+
+module.exports = {
+    PROTOCOLS,
+    MESSAGE_SCHEMAS,
+    encodeMessage,
+    decodeMessage,
+    selectProtocol
+};
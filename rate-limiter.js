@@ -0,0 +1,32 @@
+// Token bucket rate limiter
+// Holds up to capacity tokens and refills refillRate tokens per second.
+// Each allowed action takes tokens; an empty bucket means the action is
+// over the limit.
+
+class TokenBucket {
+    constructor(capacity, refillRate, now = Date.now()) {
+        this.capacity = capacity;
+        this.refillRate = refillRate;
+        this.tokens = capacity;
+        this.lastRefill = now;
+    }
+
+    refill(now) {
+        const elapsed = (now - this.lastRefill) / 1000;
+        if (elapsed > 0) {
+            this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.refillRate);
+            this.lastRefill = now;
+        }
+    }
+
+    // Take tokens if available, returns false when rate limited
+    take(count = 1, now = Date.now()) {
+        this.refill(now);
+        if (this.tokens < count) return false;
+
+        this.tokens -= count;
+        return true;
+    }
+}
+
+module.exports = { TokenBucket };
@@ -1,7 +1,18 @@
+const crypto = require('crypto');
 const WebSocket = require('ws');
 const { v4: uuidv4 } = require('uuid');
+const { DEFAULT_RULES, Simulation } = require('./simulation');
+const { SNAPSHOT_HISTORY, quantizePlayers, diffSnapshot } = require('./snapshot');
+const { PROTOCOLS, encodeMessage, decodeMessage, selectProtocol } = require('./protocol');
+const { computeInterest } = require('./interest');
+const { ERROR_CODES, validateMessage, validateSettingChanges } = require('./validation');
+const { TokenBucket } = require('./rate-limiter');
+const { TEAMS, createLobbySettings, applySettingChanges } = require('./lobby-settings');
+const { normalizeChatText, filterChatText } = require('./chat-filter');
 
 // Game configuration
+// The keys shared with DEFAULT_RULES are the game rules, sent to clients
+// with welcome and game_start so they never use their own values.
 const CONFIG = {
     foodCount: 100,
     playerStartSize: 1,
@@ -14,18 +25,54 @@ const CONFIG = {
     mapWidth: 20,
     mapHeight: 15,
     maxPlayers: 5,
+    mode: 'elimination', // Default game mode, see GAME_MODES in lobby-settings.js
+    respawnDelay: 3000, // Arena mode: time from being eaten to respawning (ms)
+    teamCount: 2, // Team mode: number of teams, see TEAMS in lobby-settings.js
+    maxSpectators: 10, // Per lobby
+    lobbyCodeLength: 6,
+    privateLobbyCodeLength: 10, // Longer so invite codes can't be guessed
     minPlayersToStart: 2,
     countdownTime: 3,
-    tickRate: 60 // Updates per second
+    tickRate: 60, // Updates per second
+    viewRadius: 25, // Area of interest radius at start size, grows with player size
+    resumeGracePeriod: 15000, // How long a dropped player's seat is kept (ms)
+    postGameDuration: 30000, // Results screen length before everyone returns to the lobby (ms)
+    maxMessageSize: 16 * 1024, // Bytes, larger frames close the socket
+    messageRateLimit: { capacity: 120, refillRate: 60 }, // Messages (burst, per second)
+    violationLimit: { capacity: 10, refillRate: 0.2 }, // Violations tolerated before disconnect
+    chatRateLimit: { capacity: 5, refillRate: 0.5 }, // Chat messages (burst, per second)
+    chatHistorySize: 20, // Chat messages sent to players when they join
+    scoreUpdateRate: 2, // Score broadcasts per second
+    lobbyListUpdateDelay: 250, // Batches lobby browser updates (ms)
+    matchmakingInterval: 1000, // How often the quick play queue is processed (ms)
+    maxLobbiesPerClient: 3, // Open lobbies one connection may have created
+    afkTimeout: 120000, // Players with no activity for this long count as away (ms)
+    lobbyIdleTimeout: 60000, // Empty or all-away lobbies are closed after this (ms)
+    lobbyCleanupInterval: 10000, // How often idle lobbies are looked for (ms)
+    queueArrivalHistory: 10 // Recent queue arrivals used to estimate wait times
 };
 
 const DEFAULT_LOBBY = {
     players: new Map(),
     gameState: 'lobby',
-    foodItems: [],
+    isPublic: true, // Listed in the lobby browser and used by quick play
+    passwordHash: null, // SHA-256 of the join password, null when there is none
+    createdBy: null, // Client that created the lobby, for the per-connection cap
+    idleSince: null, // When the lobby became empty or all players went away
+    hostId: null, // Player who can kick, lock and force-start
+    locked: false, // Locked lobbies refuse new players
+    settings: null, // Host-editable rule settings, see lobby-settings.js
+    simulation: null, // Simulation instance while a round is running
+    pendingInputs: null, // Maps playerId -> latest input since the last tick
+    snapshotId: 0, // Id of the last game_update snapshot, unique for the lobby lifetime
     countdown: CONFIG.countdownTime,
     countdownInterval: null,
-    gameTickInterval: null
+    gameTickInterval: null,
+    eliminations: [], // Players eaten this round, in order: {id, by, size}
+    gameOver: null, // Last game_over message, resent to resuming players
+    chatHistory: [], // Latest chat messages, oldest first
+    spectators: new Map(), // Maps clientId -> {clientId, name}, watchers outside lobby.players
+    postGameTimeout: null
 };
 
 // Server state
@@ -36,13 +83,24 @@ let gameState = 'lobby'; // 'lobby', 'countdown', 'playing', 'over'
 let countdown = CONFIG.countdownTime;
 let countdownInterval = null;
 let gameTickInterval = null;
+let lobbyListTimeout = null; // Pending lobby browser update
+const matchmakingQueue = []; // Quick play queue, oldest first: {clientId, name, joinedAt}
+const queueArrivals = []; // Times players entered the queue, for wait estimates
 const playerColors = [0x44aa88, 0xaa4444, 0x4444aa, 0xaaaa44, 0xaa44aa];
-const lobbies = new Map(); // Maps lobbyId -> {players, gameState, foodItems, etc}
+const lobbies = new Map(); // Maps lobbyId -> {players, gameState, simulation, etc}
 
 // Initialize WebSocket server
-const wss = new WebSocket.Server({ port: 8080 });
+const wss = new WebSocket.Server({
+    port: 8080,
+    handleProtocols: selectProtocol,
+    maxPayload: CONFIG.maxMessageSize
+});
 console.log('WebSocket server started on port 8080');
 
+// Process the quick play queue, this also refreshes queue positions and estimates
+const matchmakingInterval = setInterval(processMatchmaking, CONFIG.matchmakingInterval);
+const lobbyCleanupInterval = setInterval(closeIdleLobbies, CONFIG.lobbyCleanupInterval);
+
 // Handle new client connections
 wss.on('connection', (ws) => {
     const clientId = uuidv4();
@@ -52,13 +110,46 @@ wss.on('connection', (ws) => {
     clients.set(clientId, { 
         ws, 
         id: clientId,
-        playerId: null 
+        playerId: null,
+        protocol: ws.protocol || PROTOCOLS.JSON, // Negotiated wire format
+        snapshots: new Map(), // Maps snapshotId -> quantized players sent to this client
+        ackedSnapshot: null, // Last snapshotId the client confirmed, used as delta baseline
+        interest: null, // Players and food this client currently sees, see interest.js
+        messageBucket: new TokenBucket(CONFIG.messageRateLimit.capacity, CONFIG.messageRateLimit.refillRate),
+        violationBucket: new TokenBucket(CONFIG.violationLimit.capacity, CONFIG.violationLimit.refillRate),
+        chatBucket: new TokenBucket(CONFIG.chatRateLimit.capacity, CONFIG.chatRateLimit.refillRate),
+        violations: 0,
+        kicked: false,
+        watchingLobbies: false, // Receives lobby_list updates while browsing
+        spectatingLobbyId: null, // Lobby watched as a spectator
+        spectateTarget: null // Player followed while spectating or eliminated
     });
     
     // Set up message handler for this client
-    ws.on('message', (message) => {
+    ws.on('message', (message, isBinary) => {
+        const client = clients.get(clientId);
+        if (!client || client.kicked) return;
+        
+        if (!client.messageBucket.take()) {
+            recordViolation(clientId, ERROR_CODES.RATE_LIMITED, 'Too many messages');
+            return;
+        }
+        
+        let data;
+        try {
+            data = decodeMessage(message, isBinary);
+        } catch (e) {
+            recordViolation(clientId, ERROR_CODES.MALFORMED_MESSAGE, 'Could not decode message');
+            return;
+        }
+        
+        const error = validateMessage(data);
+        if (error) {
+            recordViolation(clientId, error.code, error.message);
+            return;
+        }
+        
         try {
-            const data = JSON.parse(message);
             handleClientMessage(clientId, data);
         } catch (e) {
             console.error(`Error handling message from ${clientId}:`, e);
@@ -71,17 +162,76 @@ wss.on('connection', (ws) => {
     });
 });
 
-// Generate a random lobby code
-function generateLobbyCode() {
-    return Math.random().toString(36).substring(2, 8).toUpperCase();
+// Reject a message from a client and disconnect it once it keeps misbehaving
+function recordViolation(clientId, code, message) {
+    const client = clients.get(clientId);
+    if (!client) return;
+
+    client.violations++;
+    console.warn(`[Client ${clientId}] Violation #${client.violations} (${code}): ${message}`);
+    sendError(clientId, code, message);
+
+    if (!client.violationBucket.take()) {
+        console.warn(`[Client ${clientId}] Too many violations, disconnecting`);
+        client.kicked = true;
+        client.ws.close(1008, 'Policy violation');
+    }
+}
+
+// Game rules taken from CONFIG, the authoritative set clients build their world from
+function getGameRules() {
+    const rules = {};
+    Object.keys(DEFAULT_RULES).forEach(key => {
+        rules[key] = CONFIG[key] !== undefined ? CONFIG[key] : DEFAULT_RULES[key];
+    });
+    return rules;
+}
+
+// Game rules for a lobby's next round, its settings over the CONFIG rules
+function getLobbyRules(lobby) {
+    const rules = getGameRules();
+    Object.keys(rules).forEach(key => {
+        if (lobby.settings[key] !== undefined) {
+            rules[key] = lobby.settings[key];
+        }
+    });
+    return rules;
+}
+
+const LOBBY_CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No look-alike characters
+
+// Generate an unused random lobby code
+function generateLobbyCode(length) {
+    let code;
+    do {
+        code = '';
+        for (let i = 0; i < length; i++) {
+            code += LOBBY_CODE_CHARS[crypto.randomInt(LOBBY_CODE_CHARS.length)];
+        }
+    } while (lobbies.has(code));
+    return code;
+}
+
+function hashPassword(password) {
+    return crypto.createHash('sha256').update(password).digest();
 }
 
 // Create a new lobby instance
-function createLobby() {
-    const lobbyId = generateLobbyCode();
+// Private lobbies are left out of the browser and quick play, and can
+// have a join password on top of that
+function createLobby({ isPrivate = false, password = '', createdBy = null } = {}) {
+    const lobbyId = generateLobbyCode(isPrivate ? CONFIG.privateLobbyCodeLength : CONFIG.lobbyCodeLength);
     lobbies.set(lobbyId, {
         ...DEFAULT_LOBBY,
-        players: new Map()
+        isPublic: !isPrivate,
+        passwordHash: isPrivate && password ? hashPassword(password) : null,
+        createdBy: createdBy,
+        idleSince: Date.now(), // Nobody has joined yet
+        players: new Map(),
+        spectators: new Map(),
+        eliminations: [],
+        chatHistory: [],
+        settings: createLobbySettings(CONFIG)
     });
     console.log('Created lobby:', lobbyId);
     return lobbyId;
@@ -100,60 +250,106 @@ function handleClientMessage(clientId, message) {
         return;
     }
     
-    console.log('Received message:', message.type, 'from client:', clientId);
+    // Acks and inputs arrive many times a second, only log the rest
+    if (message.type !== 'snapshot_ack' && message.type !== 'player_input') {
+        console.log('Received message:', message.type, 'from client:', clientId);
+    }
+    
+    // Acks are sent automatically, anything else means someone is there
+    if (message.type !== 'snapshot_ack') {
+        markPlayerActive(client);
+    }
     
     try {
         switch (message.type) {
             case 'create_lobby':
-                const lobbyId = createLobby();
+                if (countCreatedLobbies(clientId) >= CONFIG.maxLobbiesPerClient) {
+                    sendError(clientId, ERROR_CODES.TOO_MANY_LOBBIES, 'You already have too many open lobbies');
+                    return;
+                }
+                const lobbyId = createLobby({
+                    isPrivate: message.isPrivate === true,
+                    password: message.password || '',
+                    createdBy: clientId
+                });
                 sendToClient(clientId, {
                     type: 'lobby_created',
-                    lobbyId: lobbyId
+                    lobbyId: lobbyId,
+                    isPrivate: !lobbies.get(lobbyId).isPublic,
+                    hasPassword: !!lobbies.get(lobbyId).passwordHash
                 });
                 break;
             case 'join_lobby':
-                if (!message.lobbyId) {
-                    sendToClient(clientId, {
-                        type: 'error',
-                        message: 'Lobby ID is required'
-                    });
-                    return;
-                }
-                handleJoinLobby(clientId, message.lobbyId, message.name || 'Anonymous');
+                handleJoinLobby(clientId, message.lobbyId, (message.name || '').trim() || 'Anonymous', message.password);
                 break;
             case 'toggle_ready':
                 if (!client.lobbyId) {
-                    sendToClient(clientId, {
-                        type: 'error',
-                        message: 'Not in a lobby'
-                    });
+                    sendError(clientId, ERROR_CODES.NOT_IN_LOBBY, 'Not in a lobby');
                     return;
                 }
                 handleToggleReady(clientId, client.lobbyId);
                 break;
             case 'player_input':
-                if (!message.lobbyId || !message.input) {
-                    console.warn(`Invalid player input from ${clientId}`);
-                    return;
-                }
-                handlePlayerInput(clientId, message.lobbyId, message.input);
+                handlePlayerInput(clientId, message.lobbyId, message.input, message.seq);
+                break;
+            case 'resume_session':
+                handleResumeSession(clientId, message.token);
+                break;
+            case 'snapshot_ack':
+                handleSnapshotAck(clientId, message.snapshot);
+                break;
+            case 'list_lobbies':
+                handleListLobbies(clientId, message.watch !== false);
+                break;
+            case 'quick_play':
+                handleQuickPlay(clientId, (message.name || '').trim() || 'Anonymous');
+                break;
+            case 'leave_queue':
+                leaveQueue(clientId);
+                break;
+            case 'kick_player':
+                handleKickPlayer(clientId, message.playerId);
                 break;
-            case 'request_lobby':
-                handleRequestLobby(clientId);
+            case 'set_lobby_locked':
+                handleSetLobbyLocked(clientId, message.locked);
+                break;
+            case 'transfer_host':
+                handleTransferHost(clientId, message.playerId);
+                break;
+            case 'force_start':
+                handleForceStart(clientId);
+                break;
+            case 'set_player_team':
+                handleSetPlayerTeam(clientId, message.playerId, message.team);
+                break;
+            case 'balance_teams':
+                handleBalanceTeams(clientId);
+                break;
+            case 'chat':
+                handleChat(clientId, message.text);
+                break;
+            case 'mute_player':
+                handleMutePlayer(clientId, message.playerId, message.muted);
+                break;
+            case 'leave_lobby':
+                handleLeaveLobby(clientId);
+                break;
+            case 'spectate_lobby':
+                handleSpectateLobby(clientId, message.lobbyId, (message.name || '').trim() || 'Spectator', message.password);
+                break;
+            case 'spectate_target':
+                handleSpectateTarget(clientId, message.playerId);
+                break;
+            case 'update_lobby_settings':
+                handleUpdateLobbySettings(clientId, message.settings);
                 break;
             default:
                 console.log(`Unknown message type from ${clientId}:`, message.type);
-                sendToClient(clientId, {
-                    type: 'error',
-                    message: 'Unknown message type'
-                });
+                sendError(clientId, ERROR_CODES.UNKNOWN_MESSAGE_TYPE, 'Unknown message type');
         }
     } catch (error) {
         console.error(`Error handling message from ${clientId}:`, error);
-        sendToClient(clientId, {
-            type: 'error',
-            message: 'Internal server error'
-        });
+        sendError(clientId, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
     }
 }
 
@@ -161,19 +357,13 @@ function handleClientMessage(clientId, message) {
 function handleJoin(clientId, message) {
     // Check if game is in progress
     if (gameState === 'playing' || gameState === 'countdown') {
-        sendToClient(clientId, {
-            type: 'error',
-            message: 'Game in progress. Please wait for the next round.'
-        });
+        sendError(clientId, ERROR_CODES.GAME_IN_PROGRESS, 'Game in progress. Please wait for the next round.');
         return;
     }
     
     // Check if max players reached
     if (players.size >= CONFIG.maxPlayers) {
-        sendToClient(clientId, {
-            type: 'error',
-            message: 'Server is full. Please try again later.'
-        });
+        sendError(clientId, ERROR_CODES.SERVER_FULL, 'Server is full. Please try again later.');
         return;
     }
     
@@ -209,31 +399,46 @@ function handleJoin(clientId, message) {
     broadcastLobbyUpdate();
 }
 
-// Handle join lobby request
-function handleJoinLobby(clientId, lobbyId, playerName) {
+// A client holds one seat, spectator slot or queue entry at a time
+function holdsLobbySlot(client) {
+    return (client.lobbyId && lobbies.has(client.lobbyId)) || !!client.spectatingLobbyId ||
+        matchmakingQueue.some(entry => entry.clientId === client.id);
+}
+
+// Handle join lobby request, returns whether the player joined
+function handleJoinLobby(clientId, lobbyId, playerName, password) {
+    const client = clients.get(clientId);
+    if (!client) return false;
+
     const lobby = lobbies.get(lobbyId);
     if (!lobby) {
-        sendToClient(clientId, {
-            type: 'error',
-            message: 'Lobby not found'
-        });
-        return;
+        sendError(clientId, ERROR_CODES.LOBBY_NOT_FOUND, 'Lobby not found');
+        return false;
     }
 
-    if (lobby.gameState !== 'lobby') {
-        sendToClient(clientId, {
-            type: 'error',
-            message: 'Game already in progress'
-        });
-        return;
+    // Quick play takes players out of the queue before seating them
+    if (holdsLobbySlot(client)) {
+        sendError(clientId, ERROR_CODES.ALREADY_IN_LOBBY, 'Already in a lobby');
+        return false;
     }
 
-    if (lobby.players.size >= CONFIG.maxPlayers) {
-        sendToClient(clientId, {
-            type: 'error',
-            message: 'Lobby is full'
-        });
-        return;
+    if (!checkLobbyPassword(clientId, lobby, password)) {
+        return false;
+    }
+
+    if (lobby.gameState !== 'lobby' && !canDropIn(lobby)) {
+        sendError(clientId, ERROR_CODES.GAME_IN_PROGRESS, 'Game already in progress');
+        return false;
+    }
+
+    if (lobby.players.size >= lobby.settings.maxPlayers) {
+        sendError(clientId, ERROR_CODES.LOBBY_FULL, 'Lobby is full');
+        return false;
+    }
+
+    if (lobby.locked) {
+        sendError(clientId, ERROR_CODES.LOBBY_LOCKED, 'Lobby is locked');
+        return false;
     }
 
     // Create player and add to lobby
@@ -243,30 +448,196 @@ function handleJoinLobby(clientId, lobbyId, playerName) {
         clientId: clientId,
         name: playerName,
         color: playerColors[lobby.players.size % playerColors.length],
+        team: pickTeam(lobby), // Team index, only used in team mode
         ready: false,
-        x: 0,
-        y: 0,
-        size: CONFIG.playerStartSize,
-        input: { x: 0, y: 0 }
+        lastInputSeq: 0, // Last input sequence applied by the simulation
+        lastActivity: Date.now(), // Last message from the player, for AFK detection
+        bestSize: 0, // Arena mode: largest size reached this round
+        respawnTimer: null, // Arena mode: pending respawn after being eaten
+        resumeToken: uuidv4(), // Secret used to rebind a new socket after a drop
+        disconnected: false,
+        disconnectTimer: null,
+        mutedPlayers: new Set() // Players whose chat this player does not receive
     };
     
     lobby.players.set(playerId, player);
+    if (!lobby.hostId) {
+        lobby.hostId = playerId;
+    }
 
     // Update client references
-    const client = clients.get(clientId);
     client.lobbyId = lobbyId;
     client.playerId = playerId;
+    client.watchingLobbies = false;
 
     // Send welcome message to client
     sendToClient(clientId, {
         type: 'welcome',
         clientId: clientId,
         playerId: playerId,
-        lobbyId: lobbyId
+        lobbyId: lobbyId,
+        resumeToken: player.resumeToken,
+        rules: getLobbyRules(lobby)
     });
+    sendChatHistory(lobby, player);
 
     // Broadcast updated player list to all players in lobby
     broadcastLobbyUpdate(lobbyId);
+
+    // Arena rounds take new players straight into the game
+    if (lobby.gameState === 'playing') {
+        lobby.simulation.spawnPlayer(playerId);
+        sendGameStart(lobby, client);
+    } else if (lobby.gameState === 'countdown') {
+        sendToClient(clientId, {
+            type: 'countdown',
+            count: lobby.countdown
+        });
+    }
+    return true;
+}
+
+function isArena(lobby) {
+    return lobby.settings.mode === 'arena';
+}
+
+function isTeams(lobby) {
+    return lobby.settings.mode === 'teams';
+}
+
+// Team with the fewest players, new players join it
+function pickTeam(lobby) {
+    const counts = new Array(lobby.settings.teamCount).fill(0);
+    lobby.players.forEach(player => {
+        if (player.team < counts.length) counts[player.team]++;
+    });
+    return counts.indexOf(Math.min(...counts));
+}
+
+// Deal the players out over the teams in join order
+function balanceTeams(lobby) {
+    Array.from(lobby.players.values()).forEach((player, index) => {
+        player.team = index % lobby.settings.teamCount;
+    });
+}
+
+// Players wear their team's color in team mode
+function getPlayerColor(lobby, player) {
+    return isTeams(lobby) ? TEAMS[player.team].color : player.color;
+}
+
+// Arena lobbies take new players during the countdown and the round
+function canDropIn(lobby) {
+    return isArena(lobby) && (lobby.gameState === 'countdown' || lobby.gameState === 'playing');
+}
+
+// Put an eaten arena player back into the round at a safe spot
+function respawnPlayer(lobbyId, playerId) {
+    const lobby = lobbies.get(lobbyId);
+    if (!lobby || lobby.gameState !== 'playing') return;
+
+    const player = lobby.players.get(playerId);
+    if (!player || lobby.simulation.getPlayer(playerId)) return;
+
+    player.respawnTimer = null;
+    const spawned = lobby.simulation.spawnPlayer(playerId);
+    sendToClient(player.clientId, {
+        type: 'respawned',
+        x: spawned.x,
+        y: spawned.y
+    });
+}
+
+// Arena standings: everyone seated, by current then best size
+function getLeaderboard(lobby) {
+    return Array.from(lobby.players.values())
+        .map(player => {
+            const blob = lobby.simulation.getPlayer(player.id);
+            return { id: player.id, size: blob ? blob.size : 0, best: player.bestSize };
+        })
+        .sort((a, b) => b.size - a.size || b.best - a.best);
+}
+
+// Find the lobby and player owning a resume token
+function findSession(token) {
+    if (typeof token !== 'string') return null;
+
+    for (const [lobbyId, lobby] of lobbies) {
+        for (const player of lobby.players.values()) {
+            if (player.resumeToken === token) {
+                return { lobbyId, lobby, player };
+            }
+        }
+    }
+    return null;
+}
+
+// Handle resume request, rebinding this socket to a dropped player
+function handleResumeSession(clientId, token) {
+    const client = clients.get(clientId);
+    const session = findSession(token);
+    if (!client || !session) {
+        sendToClient(clientId, {
+            type: 'resume_failed',
+            message: 'Session expired'
+        });
+        return;
+    }
+    // Taking over the session would orphan the seat this socket already has
+    if (holdsLobbySlot(client)) {
+        sendError(clientId, ERROR_CODES.ALREADY_IN_LOBBY, 'Already in a lobby');
+        return;
+    }
+
+    const { lobbyId, lobby, player } = session;
+
+    // Cancel the pending removal
+    if (player.disconnectTimer) {
+        clearTimeout(player.disconnectTimer);
+        player.disconnectTimer = null;
+    }
+
+    // The old socket may still look open if the drop was not detected yet
+    const oldClient = clients.get(player.clientId);
+    if (oldClient && oldClient.id !== clientId) {
+        oldClient.playerId = null;
+        oldClient.lobbyId = null;
+        oldClient.ws.close();
+    }
+
+    // Rebind the player to this socket with a fresh token
+    player.clientId = clientId;
+    player.disconnected = false;
+    player.resumeToken = uuidv4();
+    player.lastInputSeq = 0;
+    client.lobbyId = lobbyId;
+    client.playerId = player.id;
+    console.log(`Client ${clientId} resumed player ${player.id} in lobby ${lobbyId}`);
+
+    sendToClient(clientId, {
+        type: 'welcome',
+        clientId: clientId,
+        playerId: player.id,
+        lobbyId: lobbyId,
+        resumeToken: player.resumeToken,
+        resumed: true,
+        rules: lobby.simulation ? lobby.simulation.rules : getLobbyRules(lobby)
+    });
+
+    // Bring the client back to the current phase of the lobby
+    if (lobby.gameState === 'countdown') {
+        sendToClient(clientId, {
+            type: 'countdown',
+            count: lobby.countdown
+        });
+    } else if (lobby.gameState === 'playing') {
+        sendGameStart(lobby, client);
+    } else if (lobby.gameState === 'over' && lobby.gameOver) {
+        sendToClient(clientId, lobby.gameOver);
+        sendRematchVotes(lobbyId);
+    }
+    sendChatHistory(lobby, player);
+    broadcastLobbyUpdate(lobbyId);
 }
 
 // Handle ready toggle
@@ -280,6 +651,14 @@ function handleToggleReady(clientId, lobbyId) {
     const player = lobby.players.get(client.playerId);
     if (!player) return;
     
+    // After a game, ready is the rematch vote
+    if (lobby.gameState === 'over') {
+        player.ready = !player.ready;
+        sendRematchVotes(lobbyId);
+        checkRematchVotes(lobbyId);
+        return;
+    }
+    
     // Toggle ready state
     player.ready = !player.ready;
     
@@ -291,7 +670,7 @@ function handleToggleReady(clientId, lobbyId) {
 }
 
 // Handle player input
-function handlePlayerInput(clientId, lobbyId, input) {
+function handlePlayerInput(clientId, lobbyId, input, seq) {
     const lobby = lobbies.get(lobbyId);
     if (!lobby || lobby.gameState !== 'playing') return;
     
@@ -301,27 +680,43 @@ function handlePlayerInput(clientId, lobbyId, input) {
     const player = lobby.players.get(client.playerId);
     if (!player) return;
     
-    // Normalize input vector
-    const length = Math.sqrt(input.x * input.x + input.y * input.y);
-    if (length > 0) {
-        player.input = {
-            x: input.x / length,
-            y: input.y / length
-        };
-    } else {
-        player.input = { x: 0, y: 0 };
-    }
+    // Queue input for the next simulation step (normalized there)
+    // Split and boost requests (boost is the held mouse button or key) are
+    // kept even if a newer input arrives in the same tick
+    const previous = lobby.pendingInputs.get(player.id);
+    lobby.pendingInputs.set(player.id, {
+        x: input.x,
+        y: input.y,
+        split: input.split === true || (previous ? previous.split : false),
+        boost: input.down === true || (previous ? previous.boost : false),
+        seq: Number.isInteger(seq) ? seq : player.lastInputSeq
+    });
 }
 
-// Handle request to return to lobby
-function handleRequestLobby(clientId) {
+// Handle snapshot acknowledgement, moving the client's delta baseline forward
+function handleSnapshotAck(clientId, snapshotId) {
     const client = clients.get(clientId);
-    if (!client || !client.lobbyId) return;
+    if (!client || !client.snapshots.has(snapshotId)) return;
+    if (client.ackedSnapshot !== null && snapshotId <= client.ackedSnapshot) return;
+
+    client.ackedSnapshot = snapshotId;
+
+    // Older snapshots can no longer be used as a baseline
+    for (const id of client.snapshots.keys()) {
+        if (id < snapshotId) {
+            client.snapshots.delete(id);
+        }
+    }
+}
 
-    const lobby = lobbies.get(client.lobbyId);
+// Bring a lobby back to the waiting phase, keeping its players for the next round
+function resetLobby(lobbyId) {
+    const lobby = lobbies.get(lobbyId);
     if (!lobby) return;
 
     // Clear any existing intervals
+    clearTimeout(lobby.postGameTimeout);
+    lobby.postGameTimeout = null;
     if (lobby.countdownInterval) {
         clearInterval(lobby.countdownInterval);
         lobby.countdownInterval = null;
@@ -333,25 +728,133 @@ function handleRequestLobby(clientId) {
 
     // Reset lobby state
     lobby.gameState = 'lobby';
-    lobby.foodItems = [];
+    lobby.simulation = null;
+    lobby.pendingInputs = null;
     lobby.countdown = CONFIG.countdownTime;
+    lobby.gameOver = null;
     
     // Reset all players in this lobby
     lobby.players.forEach(player => {
-        player.x = 0;
-        player.y = 0;
-        player.size = CONFIG.playerStartSize;
         player.ready = false;
-        player.input = { x: 0, y: 0 };
     });
     
     // Force all clients in this lobby to return to lobby
-    broadcastToLobby(client.lobbyId, {
+    broadcastToLobby(lobbyId, {
         type: 'force_lobby'
     });
     
     // Broadcast the reset to all clients in this lobby
-    broadcastLobbyUpdate(client.lobbyId);
+    broadcastLobbyUpdate(lobbyId);
+}
+
+// Rematch votes are the ready flags of connected players during the results
+function getRematchVotes(lobby) {
+    const connected = Array.from(lobby.players.values()).filter(player => !player.disconnected);
+    return {
+        votes: connected.filter(player => player.ready).length,
+        needed: connected.length
+    };
+}
+
+function sendRematchVotes(lobbyId) {
+    const lobby = lobbies.get(lobbyId);
+    if (!lobby || lobby.gameState !== 'over') return;
+
+    broadcastToLobby(lobbyId, {
+        type: 'rematch_update',
+        ...getRematchVotes(lobby)
+    });
+}
+
+// Everyone still connected voted, go back to the lobby without waiting
+function checkRematchVotes(lobbyId) {
+    const lobby = lobbies.get(lobbyId);
+    if (!lobby || lobby.gameState !== 'over') return;
+
+    const { votes, needed } = getRematchVotes(lobby);
+    if (needed > 0 && votes === needed) {
+        console.log(`[Lobby ${lobbyId}] Rematch accepted`);
+        resetLobby(lobbyId);
+    }
+}
+
+function countCreatedLobbies(clientId) {
+    let count = 0;
+    lobbies.forEach(lobby => {
+        if (lobby.createdBy === clientId) count++;
+    });
+    return count;
+}
+
+function markPlayerActive(client) {
+    const lobby = client.lobbyId ? lobbies.get(client.lobbyId) : null;
+    const player = lobby && client.playerId ? lobby.players.get(client.playerId) : null;
+    if (player) {
+        player.lastActivity = Date.now();
+    }
+}
+
+// A lobby is idle when no connected player has been active recently
+function isLobbyIdle(lobby, now) {
+    for (const player of lobby.players.values()) {
+        if (!player.disconnected && now - player.lastActivity < CONFIG.afkTimeout) {
+            return false;
+        }
+    }
+    return true;
+}
+
+// Close lobbies that stayed idle for the idle timeout
+function closeIdleLobbies() {
+    const now = Date.now();
+    lobbies.forEach((lobby, lobbyId) => {
+        if (!isLobbyIdle(lobby, now)) {
+            lobby.idleSince = null;
+        } else if (lobby.idleSince === null) {
+            lobby.idleSince = now;
+        } else if (now - lobby.idleSince >= CONFIG.lobbyIdleTimeout) {
+            closeLobby(lobbyId, 'Lobby closed after being idle');
+        }
+    });
+}
+
+// Stop a lobby's timers, send everyone in it back to the menu and forget it
+function closeLobby(lobbyId, reason) {
+    const lobby = lobbies.get(lobbyId);
+    if (!lobby) return;
+
+    console.log(`[Lobby ${lobbyId}] Closing: ${reason}`);
+    clearTimeout(lobby.postGameTimeout);
+    clearInterval(lobby.countdownInterval);
+    clearInterval(lobby.gameTickInterval);
+    lobby.postGameTimeout = null;
+    lobby.countdownInterval = null;
+    lobby.gameTickInterval = null;
+
+    broadcastToLobby(lobbyId, {
+        type: 'lobby_closed',
+        reason: reason
+    });
+
+    lobby.players.forEach(player => {
+        clearTimeout(player.disconnectTimer);
+        clearTimeout(player.respawnTimer);
+        const client = clients.get(player.clientId);
+        if (client && client.playerId === player.id) {
+            client.lobbyId = null;
+            client.playerId = null;
+        }
+    });
+    lobby.spectators.forEach(spectator => {
+        const client = clients.get(spectator.clientId);
+        if (client) {
+            client.spectatingLobbyId = null;
+            client.spectateTarget = null;
+        }
+    });
+
+    lobbies.delete(lobbyId);
+    scheduleLobbyListUpdate();
 }
 
 // Handle client disconnect
@@ -362,80 +865,684 @@ function handleClientDisconnect(clientId) {
     if (!client) return;
 
     const lobby = client.lobbyId ? lobbies.get(client.lobbyId) : null;
-    if (lobby && client.playerId) {
-        // Remove player from lobby
-        lobby.players.delete(client.playerId);
-        
-        // Notify remaining players
-        broadcastToLobby(client.lobbyId, {
-            type: 'player_eaten',
-            eaten: client.playerId,
-            by: null
-        });
-        
-        // Check if game should end
-        if (lobby.gameState === 'playing' && lobby.players.size <= 1) {
-            const remainingPlayers = Array.from(lobby.players.values());
-            endGame(client.lobbyId, remainingPlayers[0]?.id);
+    const player = lobby && client.playerId ? lobby.players.get(client.playerId) : null;
+    if (player && player.clientId === clientId && client.kicked) {
+        // Kicked clients do not get a grace period
+        player.disconnected = true;
+        removeDisconnectedPlayer(client.lobbyId, player.id);
+    } else if (player && player.clientId === clientId) {
+        // Keep the seat for the grace period, the blob stays with no input
+        const lobbyId = client.lobbyId;
+        player.disconnected = true;
+        if (lobby.simulation) {
+            lobby.simulation.setInput(player.id, { x: 0, y: 0 });
+            lobby.pendingInputs.delete(player.id);
         }
+        player.disconnectTimer = setTimeout(() => {
+            removeDisconnectedPlayer(lobbyId, player.id);
+        }, CONFIG.resumeGracePeriod);
+        if (lobby.hostId === player.id) {
+            migrateHost(lobby);
+        }
+        broadcastLobbyUpdate(lobbyId);
+        sendRematchVotes(lobbyId);
+        checkRematchVotes(lobbyId);
     }
     
     // Remove client
+    removeFromQueue(clientId);
+    removeSpectator(clientId);
     clients.delete(clientId);
 }
 
-// Broadcast lobby update to all clients
-function broadcastLobbyUpdate(lobbyId) {
+// Remove a player whose grace period ran out
+function removeDisconnectedPlayer(lobbyId, playerId) {
     const lobby = lobbies.get(lobbyId);
     if (!lobby) return;
 
-    // Create player list for lobby
-    const playerList = Array.from(lobby.players.values()).map(player => ({
-        id: player.id,
-        name: player.name,
-        ready: player.ready,
-        color: player.color
-    }));
-    
-    // Send update to all clients
-    broadcastToLobby(lobbyId, {
-        type: 'lobby_update',
-        players: playerList
-    });
-}
+    const player = lobby.players.get(playerId);
+    if (!player || !player.disconnected) return;
 
-// Check if game can start
-function checkGameStart(lobbyId) {
-    const lobby = lobbies.get(lobbyId);
-    if (!lobby || lobby.gameState !== 'lobby') return;
-    
-    const playerList = Array.from(lobby.players.values());
-    
-    // Need minimum players and all must be ready
-    if (playerList.length >= CONFIG.minPlayersToStart && playerList.every(p => p.ready)) {
-        // Start countdown
-        startCountdown(lobbyId);
-    }
+    console.log(`Removing disconnected player ${playerId} from lobby ${lobbyId}`);
+    removePlayerFromLobby(lobbyId, playerId);
 }
 
-// Start game countdown
-function startCountdown(lobbyId) {
+// Remove a player from a lobby and its running round
+function removePlayerFromLobby(lobbyId, playerId) {
     const lobby = lobbies.get(lobbyId);
     if (!lobby) return;
 
-    lobby.gameState = 'countdown';
-    lobby.countdown = CONFIG.countdownTime;
+    const player = lobby.players.get(playerId);
+    if (!player) return;
+
+    clearTimeout(player.disconnectTimer);
+    clearTimeout(player.respawnTimer);
+    lobby.players.delete(playerId);
+    if (lobby.simulation) {
+        lobby.simulation.removePlayer(playerId);
+    }
+    if (lobby.hostId === playerId) {
+        migrateHost(lobby);
+    }
     
-    // Broadcast initial countdown value
+    // Notify remaining players
     broadcastToLobby(lobbyId, {
-        type: 'countdown',
-        count: lobby.countdown
+        type: 'player_eaten',
+        eaten: playerId,
+        by: null
     });
+    broadcastLobbyUpdate(lobbyId);
     
-    // Set up countdown interval
-    lobby.countdownInterval = setInterval(() => {
-        lobby.countdown--;
-        
+    // Check if game should end, arena rounds go on until everyone left
+    if (lobby.gameState === 'playing' && isArena(lobby)) {
+        if (lobby.players.size === 0) resetLobby(lobbyId);
+    } else if (lobby.gameState === 'playing') {
+        checkRoundEnd(lobbyId);
+    } else if (lobby.gameState === 'over') {
+        sendRematchVotes(lobbyId);
+        checkRematchVotes(lobbyId);
+    } else {
+        // The players left may all be ready
+        checkGameStart(lobbyId);
+    }
+}
+
+// Player leaves its lobby on purpose, the seat is freed right away
+function handleLeaveLobby(clientId) {
+    const client = clients.get(clientId);
+    if (!client) return;
+
+    if (client.spectatingLobbyId) {
+        removeSpectator(clientId);
+        return;
+    }
+    if (!client.lobbyId) return;
+
+    const lobbyId = client.lobbyId;
+    const playerId = client.playerId;
+    client.lobbyId = null;
+    client.playerId = null;
+    removePlayerFromLobby(lobbyId, playerId);
+}
+
+// Send a chat message to the lobby, except to players who muted the sender
+function handleChat(clientId, text) {
+    const client = clients.get(clientId);
+    const lobby = client && client.lobbyId ? lobbies.get(client.lobbyId) : null;
+    const sender = lobby ? lobby.players.get(client.playerId) : null;
+    if (!sender) {
+        sendError(clientId, ERROR_CODES.NOT_IN_LOBBY, 'Not in a lobby');
+        return;
+    }
+
+    if (!client.chatBucket.take()) {
+        sendError(clientId, ERROR_CODES.RATE_LIMITED, 'You are sending messages too fast');
+        return;
+    }
+
+    const cleaned = normalizeChatText(text);
+    if (!cleaned) return;
+
+    const message = {
+        type: 'chat',
+        playerId: sender.id,
+        name: sender.name,
+        color: getPlayerColor(lobby, sender),
+        text: filterChatText(cleaned),
+        time: Date.now()
+    };
+
+    lobby.chatHistory.push(message);
+    if (lobby.chatHistory.length > CONFIG.chatHistorySize) {
+        lobby.chatHistory.shift();
+    }
+
+    const serializeMessage = createMessageEncoder(message);
+    const recipients = [];
+    lobby.players.forEach(player => {
+        if (!player.mutedPlayers.has(sender.id)) recipients.push(player.clientId);
+    });
+    lobby.spectators.forEach(spectator => recipients.push(spectator.clientId)); // Spectators read along
+
+    recipients.forEach(recipientId => {
+        const recipient = clients.get(recipientId);
+        if (recipient && recipient.ws.readyState === WebSocket.OPEN) {
+            recipient.ws.send(serializeMessage(recipient.protocol));
+        }
+    });
+}
+
+// Recent chat for a player joining or coming back, without muted senders
+function sendChatHistory(lobby, player) {
+    sendToClient(player.clientId, {
+        type: 'chat_history',
+        messages: lobby.chatHistory.filter(message => !player.mutedPlayers.has(message.playerId))
+    });
+}
+
+function handleMutePlayer(clientId, playerId, muted) {
+    const client = clients.get(clientId);
+    const lobby = client && client.lobbyId ? lobbies.get(client.lobbyId) : null;
+    const player = lobby ? lobby.players.get(client.playerId) : null;
+    if (!player) {
+        sendError(clientId, ERROR_CODES.NOT_IN_LOBBY, 'Not in a lobby');
+        return;
+    }
+    if (!lobby.players.has(playerId)) {
+        sendError(clientId, ERROR_CODES.INVALID_FIELD, 'Player is not in the lobby');
+        return;
+    }
+
+    if (muted) {
+        player.mutedPlayers.add(playerId);
+    } else {
+        player.mutedPlayers.delete(playerId);
+    }
+    sendToClient(clientId, {
+        type: 'mute_update',
+        mutedPlayers: Array.from(player.mutedPlayers)
+    });
+}
+
+// Check the password of a protected lobby, sends the error when it fails
+// Wrong guesses count as violations so passwords can't be brute-forced.
+function checkLobbyPassword(clientId, lobby, password) {
+    if (!lobby.passwordHash) return true;
+
+    if (!password) {
+        sendError(clientId, ERROR_CODES.PASSWORD_REQUIRED, 'This lobby needs a password');
+        return false;
+    }
+    if (!crypto.timingSafeEqual(hashPassword(password), lobby.passwordHash)) {
+        recordViolation(clientId, ERROR_CODES.WRONG_PASSWORD, 'Wrong lobby password');
+        return false;
+    }
+    return true;
+}
+
+// Watch a lobby without taking a seat, also while a round is running
+function handleSpectateLobby(clientId, lobbyId, name, password) {
+    const client = clients.get(clientId);
+    if (!client) return;
+
+    const lobby = lobbies.get(lobbyId);
+    if (!lobby) {
+        sendError(clientId, ERROR_CODES.LOBBY_NOT_FOUND, 'Lobby not found');
+        return;
+    }
+    if (!checkLobbyPassword(clientId, lobby, password)) return;
+    if ((client.lobbyId && lobbies.has(client.lobbyId)) || client.spectatingLobbyId) {
+        sendError(clientId, ERROR_CODES.ALREADY_IN_LOBBY, 'Already in a lobby');
+        return;
+    }
+    if (lobby.spectators.size >= CONFIG.maxSpectators) {
+        sendError(clientId, ERROR_CODES.SPECTATORS_FULL, 'No spectator slots left');
+        return;
+    }
+
+    lobby.spectators.set(clientId, { clientId: clientId, name: name });
+    client.spectatingLobbyId = lobbyId;
+    client.spectateTarget = null;
+    client.watchingLobbies = false;
+    removeFromQueue(clientId);
+    console.log(`[Lobby ${lobbyId}] Client ${clientId} is spectating`);
+
+    sendToClient(clientId, {
+        type: 'spectate_start',
+        lobbyId: lobbyId,
+        gameState: lobby.gameState,
+        rules: lobby.simulation ? lobby.simulation.rules : getLobbyRules(lobby)
+    });
+    sendToClient(clientId, {
+        type: 'chat_history',
+        messages: lobby.chatHistory
+    });
+    broadcastLobbyUpdate(lobbyId);
+
+    // Bring the spectator to the current phase of the lobby
+    if (lobby.gameState === 'countdown') {
+        sendToClient(clientId, {
+            type: 'countdown',
+            count: lobby.countdown
+        });
+    } else if (lobby.gameState === 'playing') {
+        sendGameStart(lobby, client);
+    } else if (lobby.gameState === 'over' && lobby.gameOver) {
+        sendToClient(clientId, lobby.gameOver);
+    }
+}
+
+function removeSpectator(clientId) {
+    const client = clients.get(clientId);
+    const lobbyId = client ? client.spectatingLobbyId : null;
+    const lobby = lobbyId ? lobbies.get(lobbyId) : null;
+    if (!client || !lobbyId) return;
+
+    client.spectatingLobbyId = null;
+    client.spectateTarget = null;
+    if (lobby) {
+        lobby.spectators.delete(clientId);
+        broadcastLobbyUpdate(lobbyId);
+    }
+}
+
+// Follow another player, for spectators and eliminated players
+function handleSpectateTarget(clientId, playerId) {
+    const client = clients.get(clientId);
+    const lobbyId = client ? client.spectatingLobbyId || client.lobbyId : null;
+    const lobby = lobbyId ? lobbies.get(lobbyId) : null;
+    if (!lobby || !lobby.simulation || !lobby.simulation.getPlayer(playerId)) return;
+
+    client.spectateTarget = playerId;
+}
+
+// Hand the host role to the longest-seated connected player
+function migrateHost(lobby) {
+    const previousHost = lobby.hostId;
+    const candidates = Array.from(lobby.players.values()).filter(player => player.id !== previousHost);
+    const next = candidates.find(player => !player.disconnected) || candidates[0];
+    lobby.hostId = next ? next.id : null;
+    if (next) {
+        console.log(`Host of lobby migrated from ${previousHost} to ${next.id}`);
+    }
+}
+
+// Lobby and player of the host sending a host-only message, or null after
+// sending an error when the client is not the host
+function getHostLobby(clientId) {
+    const client = clients.get(clientId);
+    const lobby = client && client.lobbyId ? lobbies.get(client.lobbyId) : null;
+    if (!lobby || !lobby.players.has(client.playerId)) {
+        sendError(clientId, ERROR_CODES.NOT_IN_LOBBY, 'Not in a lobby');
+        return null;
+    }
+    if (lobby.hostId !== client.playerId) {
+        sendError(clientId, ERROR_CODES.NOT_HOST, 'Only the host can do that');
+        return null;
+    }
+    return { lobbyId: client.lobbyId, lobby: lobby, hostId: client.playerId };
+}
+
+function handleKickPlayer(clientId, playerId) {
+    const host = getHostLobby(clientId);
+    if (!host) return;
+
+    const player = host.lobby.players.get(playerId);
+    if (!player || playerId === host.hostId) {
+        sendError(clientId, ERROR_CODES.INVALID_FIELD, 'Cannot kick that player');
+        return;
+    }
+
+    console.log(`[Lobby ${host.lobbyId}] Host kicked player ${playerId}`);
+
+    // Detach the kicked client before removing its player
+    const client = clients.get(player.clientId);
+    if (client && client.playerId === playerId) {
+        client.lobbyId = null;
+        client.playerId = null;
+        sendToClient(client.id, { type: 'kicked', lobbyId: host.lobbyId });
+    }
+    removePlayerFromLobby(host.lobbyId, playerId);
+}
+
+function handleSetLobbyLocked(clientId, locked) {
+    const host = getHostLobby(clientId);
+    if (!host) return;
+
+    host.lobby.locked = locked;
+    broadcastLobbyUpdate(host.lobbyId);
+}
+
+function handleTransferHost(clientId, playerId) {
+    const host = getHostLobby(clientId);
+    if (!host) return;
+
+    if (!host.lobby.players.has(playerId)) {
+        sendError(clientId, ERROR_CODES.INVALID_FIELD, 'Player is not in the lobby');
+        return;
+    }
+
+    host.lobby.hostId = playerId;
+    broadcastLobbyUpdate(host.lobbyId);
+}
+
+// Change the lobby rule settings, validateMessage only checks their types so
+// the bounds in LOBBY_SETTINGS are checked here with validateSettingChanges
+function handleUpdateLobbySettings(clientId, changes) {
+    const host = getHostLobby(clientId);
+    if (!host) return;
+
+    const lobby = host.lobby;
+    if (lobby.gameState !== 'lobby') {
+        sendError(clientId, ERROR_CODES.GAME_IN_PROGRESS, 'Settings can only change before the game starts');
+        return;
+    }
+    const error = validateSettingChanges(changes);
+    if (error) {
+        sendError(clientId, ERROR_CODES.INVALID_FIELD, error);
+        return;
+    }
+    if (Number.isFinite(changes.maxPlayers) && changes.maxPlayers < lobby.players.size) {
+        sendError(clientId, ERROR_CODES.INVALID_FIELD, 'Max players is below the current player count');
+        return;
+    }
+
+    const previous = { ...lobby.settings };
+    applySettingChanges(lobby.settings, changes);
+    console.log(`[Lobby ${host.lobbyId}] Settings changed:`, lobby.settings);
+
+    // Teams are dealt out again when team mode starts or the team count changes
+    if (isTeams(lobby) && (previous.mode !== lobby.settings.mode || previous.teamCount !== lobby.settings.teamCount)) {
+        balanceTeams(lobby);
+    }
+
+    // Everyone confirms the new rules again
+    lobby.players.forEach(player => {
+        player.ready = false;
+    });
+    broadcastLobbyUpdate(host.lobbyId);
+}
+
+// Move a player to another team before the round
+function handleSetPlayerTeam(clientId, playerId, team) {
+    const host = getHostLobby(clientId);
+    if (!host) return;
+
+    const lobby = host.lobby;
+    const player = lobby.players.get(playerId);
+    if (!isTeams(lobby) || lobby.gameState !== 'lobby') {
+        sendError(clientId, ERROR_CODES.INVALID_FIELD, 'Teams can only change in a team lobby before the game starts');
+        return;
+    }
+    if (!player || team >= lobby.settings.teamCount) {
+        sendError(clientId, ERROR_CODES.INVALID_FIELD, 'Cannot move that player to that team');
+        return;
+    }
+
+    player.team = team;
+    broadcastLobbyUpdate(host.lobbyId);
+}
+
+function handleBalanceTeams(clientId) {
+    const host = getHostLobby(clientId);
+    if (!host) return;
+
+    if (!isTeams(host.lobby) || host.lobby.gameState !== 'lobby') {
+        sendError(clientId, ERROR_CODES.INVALID_FIELD, 'Teams can only change in a team lobby before the game starts');
+        return;
+    }
+
+    balanceTeams(host.lobby);
+    broadcastLobbyUpdate(host.lobbyId);
+}
+
+// Start the countdown without waiting for everyone to be ready
+function handleForceStart(clientId) {
+    const host = getHostLobby(clientId);
+    if (!host) return;
+
+    if (host.lobby.gameState !== 'lobby') {
+        sendError(clientId, ERROR_CODES.GAME_IN_PROGRESS, 'Game already in progress');
+        return;
+    }
+    if (host.lobby.players.size < getMinPlayers(host.lobby)) {
+        sendError(clientId, ERROR_CODES.NOT_ENOUGH_PLAYERS, `At least ${getMinPlayers(host.lobby)} players are needed`);
+        return;
+    }
+
+    console.log(`[Lobby ${host.lobbyId}] Host forced the game to start`);
+    startCountdown(host.lobbyId);
+}
+
+// Broadcast lobby update to all clients
+function broadcastLobbyUpdate(lobbyId) {
+    const lobby = lobbies.get(lobbyId);
+    if (!lobby) return;
+
+    // Create player list for lobby
+    const playerList = Array.from(lobby.players.values()).map(player => ({
+        id: player.id,
+        name: player.name,
+        ready: player.ready,
+        color: getPlayerColor(lobby, player),
+        team: isTeams(lobby) ? player.team : null,
+        connected: !player.disconnected
+    }));
+    
+    // Send update to all clients
+    broadcastToLobby(lobbyId, {
+        type: 'lobby_update',
+        players: playerList,
+        spectators: Array.from(lobby.spectators.values()).map(spectator => spectator.name),
+        hostId: lobby.hostId,
+        locked: lobby.locked,
+        isPrivate: !lobby.isPublic,
+        hasPassword: !!lobby.passwordHash,
+        settings: lobby.settings
+    });
+    scheduleLobbyListUpdate();
+}
+
+// Lobby browser entry
+function getLobbySummary(lobbyId, lobby) {
+    return {
+        id: lobbyId,
+        playerCount: lobby.players.size,
+        maxPlayers: lobby.settings.maxPlayers,
+        spectatorCount: lobby.spectators.size,
+        maxSpectators: CONFIG.maxSpectators,
+        gameState: lobby.gameState,
+        locked: lobby.locked,
+        settings: lobby.settings
+    };
+}
+
+// Public lobbies with at least one player, joinable ones first
+function getPublicLobbies() {
+    const list = [];
+    lobbies.forEach((lobby, lobbyId) => {
+        if (lobby.isPublic && lobby.players.size > 0) {
+            list.push(getLobbySummary(lobbyId, lobby));
+        }
+    });
+    return list.sort((a, b) => (a.gameState === 'lobby' ? 0 : 1) - (b.gameState === 'lobby' ? 0 : 1));
+}
+
+// Send the lobby list, and keep sending updates while watch is set
+function handleListLobbies(clientId, watch) {
+    const client = clients.get(clientId);
+    if (!client) return;
+
+    client.watchingLobbies = watch;
+    sendToClient(clientId, {
+        type: 'lobby_list',
+        lobbies: getPublicLobbies()
+    });
+}
+
+// Put a client in the quick play queue and try to place it right away
+function handleQuickPlay(clientId, playerName) {
+    const client = clients.get(clientId);
+    if (!client) return;
+
+    if ((client.lobbyId && lobbies.has(client.lobbyId)) || client.spectatingLobbyId) {
+        sendError(clientId, ERROR_CODES.ALREADY_IN_LOBBY, 'Already in a lobby');
+        return;
+    }
+
+    const queued = matchmakingQueue.find(entry => entry.clientId === clientId);
+    if (queued) {
+        queued.name = playerName;
+    } else {
+        const now = Date.now();
+        matchmakingQueue.push({ clientId: clientId, name: playerName, joinedAt: now });
+        queueArrivals.push(now);
+        if (queueArrivals.length > CONFIG.queueArrivalHistory) {
+            queueArrivals.shift();
+        }
+        console.log(`Client ${clientId} joined the quick play queue (${matchmakingQueue.length} waiting)`);
+    }
+
+    processMatchmaking();
+}
+
+function leaveQueue(clientId) {
+    if (removeFromQueue(clientId)) {
+        sendToClient(clientId, { type: 'queue_left' });
+        sendQueueUpdates();
+    }
+}
+
+function removeFromQueue(clientId) {
+    const index = matchmakingQueue.findIndex(entry => entry.clientId === clientId);
+    if (index === -1) return false;
+
+    matchmakingQueue.splice(index, 1);
+    return true;
+}
+
+// Open public lobby with the most players, so lobbies fill up before new ones are made
+function findOpenLobby() {
+    let best = null;
+    let bestSize = 0;
+    lobbies.forEach((lobby, lobbyId) => {
+        const size = lobby.players.size;
+        const open = lobby.isPublic && !lobby.locked && (lobby.gameState === 'lobby' || canDropIn(lobby));
+        if (open && size > bestSize && size < lobby.settings.maxPlayers) {
+            best = lobbyId;
+            bestSize = size;
+        }
+    });
+    return best;
+}
+
+// Place queued players into open lobbies, or into a new lobby once enough are waiting
+// Lobbies are only made for groups whose sockets are still open
+function processMatchmaking() {
+    pruneQueue();
+    if (matchmakingQueue.length === 0) return;
+
+    let lobbyId = findOpenLobby();
+    while (lobbyId && matchmakingQueue.length > 0) {
+        seatQueuedPlayer(matchmakingQueue.shift(), lobbyId);
+        lobbyId = findOpenLobby();
+    }
+
+    while (matchmakingQueue.length >= CONFIG.minPlayersToStart) {
+        const newLobbyId = createLobby();
+        const group = matchmakingQueue.splice(0, CONFIG.maxPlayers);
+        const seated = group.filter(entry => seatQueuedPlayer(entry, newLobbyId));
+        if (seated.length === 0) {
+            closeLobby(newLobbyId, 'Quick play group left');
+            continue;
+        }
+        // A short group stays open, quick play fills it before making new lobbies
+        console.log(`[Lobby ${newLobbyId}] Created by quick play for ${seated.length} players`);
+    }
+
+    sendQueueUpdates();
+}
+
+// Drop queue entries whose socket has closed
+function pruneQueue() {
+    for (let i = matchmakingQueue.length - 1; i >= 0; i--) {
+        const client = clients.get(matchmakingQueue[i].clientId);
+        if (!client || client.ws.readyState !== WebSocket.OPEN) {
+            matchmakingQueue.splice(i, 1);
+        }
+    }
+}
+
+// Join a player taken off the queue to a lobby, returns false when the join
+// failed. handleJoinLobby sends the error, queue_left stops the client searching.
+function seatQueuedPlayer(entry, lobbyId) {
+    if (handleJoinLobby(entry.clientId, lobbyId, entry.name)) return true;
+
+    sendToClient(entry.clientId, { type: 'queue_left' });
+    return false;
+}
+
+// Seconds until enough players are queued to open a lobby, from the recent
+// arrival rate. Null when there is no history yet.
+function estimateQueueWait() {
+    const missing = CONFIG.minPlayersToStart - matchmakingQueue.length;
+    if (missing <= 0) return 0;
+    if (queueArrivals.length < 2) return null;
+
+    const span = Date.now() - queueArrivals[0];
+    const averageInterval = span / (queueArrivals.length - 1);
+    return Math.round(missing * averageInterval / 1000);
+}
+
+function sendQueueUpdates() {
+    const estimatedWait = estimateQueueWait();
+    matchmakingQueue.forEach((entry, index) => {
+        sendToClient(entry.clientId, {
+            type: 'queue_update',
+            position: index + 1,
+            queueSize: matchmakingQueue.length,
+            estimatedWait: estimatedWait
+        });
+    });
+}
+
+// Send the lobby list to browsing clients, batching changes made close together
+function scheduleLobbyListUpdate() {
+    if (lobbyListTimeout) return;
+
+    lobbyListTimeout = setTimeout(() => {
+        lobbyListTimeout = null;
+
+        const serializeMessage = createMessageEncoder({
+            type: 'lobby_list',
+            lobbies: getPublicLobbies()
+        });
+        clients.forEach(client => {
+            if (client.watchingLobbies && client.ws.readyState === WebSocket.OPEN) {
+                client.ws.send(serializeMessage(client.protocol));
+            }
+        });
+    }, CONFIG.lobbyListUpdateDelay);
+}
+
+// Check if game can start
+function checkGameStart(lobbyId) {
+    const lobby = lobbies.get(lobbyId);
+    if (!lobby || lobby.gameState !== 'lobby') return;
+    
+    const playerList = Array.from(lobby.players.values());
+    
+    // Need minimum players and all must be ready
+    if (playerList.length >= getMinPlayers(lobby) && playerList.every(p => p.ready)) {
+        // Start countdown
+        startCountdown(lobbyId);
+    }
+}
+
+// An arena can be opened alone, others drop in later
+function getMinPlayers(lobby) {
+    return isArena(lobby) ? 1 : CONFIG.minPlayersToStart;
+}
+
+// Start game countdown
+function startCountdown(lobbyId) {
+    const lobby = lobbies.get(lobbyId);
+    if (!lobby) return;
+
+    lobby.gameState = 'countdown';
+    lobby.countdown = CONFIG.countdownTime;
+    scheduleLobbyListUpdate();
+    
+    // Broadcast initial countdown value
+    broadcastToLobby(lobbyId, {
+        type: 'countdown',
+        count: lobby.countdown
+    });
+    
+    // Set up countdown interval
+    lobby.countdownInterval = setInterval(() => {
+        lobby.countdown--;
+        
         if (lobby.countdown > 0) {
             // Update countdown
             broadcastToLobby(lobbyId, {
@@ -456,6 +1563,28 @@ function startGame(lobbyId) {
     if (!lobby) return;
 
     lobby.gameState = 'playing';
+    scheduleLobbyListUpdate();
+
+    // A team round needs at least two teams with players in them
+    if (isTeams(lobby) && new Set(Array.from(lobby.players.values()).map(player => player.team)).size < 2) {
+        balanceTeams(lobby);
+        broadcastLobbyUpdate(lobbyId);
+    }
+    
+    // Create the simulation for this round
+    lobby.simulation = new Simulation({ rules: getLobbyRules(lobby) });
+    lobby.simulation.generateMap(); // Obstacles first, players and food are placed around them
+    lobby.pendingInputs = new Map();
+    lobby.eliminations = [];
+    lobby.players.forEach(player => {
+        lobby.simulation.addPlayer(player.id);
+        if (isTeams(lobby)) {
+            lobby.simulation.setPlayerTeam(player.id, player.team);
+        }
+        player.lastInputSeq = 0;
+        player.bestSize = 0;
+    });
+    console.log(`[Lobby ${lobbyId}] Simulation seed: ${lobby.simulation.seed}`);
     
     // Initialize player positions
     initializeGamePositions(lobbyId);
@@ -463,55 +1592,96 @@ function startGame(lobbyId) {
     // Generate food
     generateFood(lobbyId);
     
-    // Send game start message
-    broadcastToLobby(lobbyId, {
-        type: 'game_start',
-        players: Array.from(lobby.players.values()).map(player => ({
-            id: player.id,
-            x: player.x,
-            y: player.y,
-            size: player.size
-        })),
-        food: lobby.foodItems
+    // Send game start message with what each player and spectator can see
+    getLobbyClients(lobby).forEach(client => {
+        sendGameStart(lobby, client);
     });
     
     // Start game tick
     startGameTick(lobbyId);
 }
 
+// Send the current round state to one player, starting a fresh delta and
+// area of interest history for its client
+function sendGameStart(lobby, client) {
+    const viewer = getViewer(lobby, client);
+    if (!viewer) return;
+
+    client.snapshots.clear();
+    client.ackedSnapshot = null;
+    client.interest = computeInterest(lobby.simulation, viewer, CONFIG.viewRadius, null);
+    sendToClient(client.id, {
+        type: 'game_start',
+        rules: lobby.simulation.rules,
+        players: lobby.simulation.getPlayerStates().filter(state => client.interest.players.has(state.id)),
+        food: Array.from(client.interest.food),
+        powerUps: lobby.simulation.powerUps,
+        obstacles: lobby.simulation.obstacles,
+        hazards: lobby.simulation.hazards,
+        spectating: viewer.id === client.playerId ? null : viewer.id // Player followed by a watcher
+    });
+}
+
+// Connected clients of a lobby's players, then its spectators
+function getLobbyClients(lobby) {
+    const result = [];
+    lobby.players.forEach(player => {
+        const client = clients.get(player.clientId);
+        if (client && client.playerId === player.id) {
+            result.push(client);
+        }
+    });
+    lobby.spectators.forEach(spectator => {
+        const client = clients.get(spectator.clientId);
+        if (client) {
+            result.push(client);
+        }
+    });
+    return result;
+}
+
+// Simulation entity whose view a client gets: its own blob, or the player it
+// follows once eliminated or when spectating. Falls back to the largest player.
+function getViewer(lobby, client) {
+    const simulation = lobby.simulation;
+    const own = client.playerId ? simulation.getPlayer(client.playerId) : null;
+    if (own) return own;
+
+    const target = client.spectateTarget ? simulation.getPlayer(client.spectateTarget) : null;
+    if (target) return target;
+
+    let largest = null;
+    simulation.players.forEach(player => {
+        if (!largest || player.size > largest.size) largest = player;
+    });
+    if (largest) {
+        setSpectateTarget(client, largest.id);
+    }
+    return largest;
+}
+
+function setSpectateTarget(client, playerId) {
+    client.spectateTarget = playerId;
+    sendToClient(client.id, {
+        type: 'spectate_target',
+        playerId: playerId
+    });
+}
+
 // Initialize player positions
 function initializeGamePositions(lobbyId) {
     const lobby = lobbies.get(lobbyId);
-    if (!lobby) return;
+    if (!lobby || !lobby.simulation) return;
 
-    const playerList = Array.from(lobby.players.values());
-    
-    // Position players in a circle around the center
-    const radius = Math.min(CONFIG.mapWidth, CONFIG.mapHeight) / 3;
-    const angleStep = (2 * Math.PI) / playerList.length;
-    
-    playerList.forEach((player, index) => {
-        const angle = angleStep * index;
-        player.x = Math.cos(angle) * radius;
-        player.y = Math.sin(angle) * radius;
-        player.size = CONFIG.playerStartSize;
-        player.input = { x: 0, y: 0 };
-    });
+    lobby.simulation.placePlayers();
 }
 
 // Generate food items
 function generateFood(lobbyId) {
     const lobby = lobbies.get(lobbyId);
-    if (!lobby) return;
+    if (!lobby || !lobby.simulation) return;
 
-    lobby.foodItems = [];
-    
-    for (let i = 0; i < CONFIG.foodCount; i++) {
-        lobby.foodItems.push({
-            x: (Math.random() * 2 - 1) * CONFIG.mapWidth,
-            y: (Math.random() * 2 - 1) * CONFIG.mapHeight
-        });
-    }
+    lobby.simulation.generateFood();
 }
 
 // Start game tick with performance monitoring
@@ -519,7 +1689,8 @@ function startGameTick(lobbyId) {
     const lobby = lobbies.get(lobbyId);
     if (!lobby) return;
 
-    const tickInterval = 1000 / CONFIG.tickRate;
+    const tickRate = lobby.settings.tickRate;
+    const tickInterval = 1000 / tickRate;
     let lastTickTime = process.hrtime.bigint();
     let tickCount = 0;
     let lastPerformanceReport = Date.now();
@@ -539,7 +1710,7 @@ function startGameTick(lobbyId) {
         const now = Date.now();
         if (now - lastPerformanceReport >= 5000) { // Report every 5 seconds
             const actualTickRate = tickCount / 5;
-            console.log(`[Lobby ${lobbyId}] Tick rate: ${actualTickRate.toFixed(2)}/sec (target: ${CONFIG.tickRate}), Players: ${lobby.players.size}`);
+            console.log(`[Lobby ${lobbyId}] Tick rate: ${actualTickRate.toFixed(2)}/sec (target: ${tickRate}), Players: ${lobby.players.size}`);
             tickCount = 0;
             lastPerformanceReport = now;
         }
@@ -547,6 +1718,9 @@ function startGameTick(lobbyId) {
         try {
             updateGameState(lobbyId, deltaTime);
             broadcastGameState(lobbyId);
+            if (lobby.simulation && lobby.simulation.tick % Math.round(tickRate / CONFIG.scoreUpdateRate) === 0) {
+                broadcastScores(lobbyId);
+            }
         } catch (error) {
             console.error(`Error in game tick for lobby ${lobbyId}:`, error);
             // Attempt to recover
@@ -557,278 +1731,158 @@ function startGameTick(lobbyId) {
     }, tickInterval);
 }
 
-// Update game state with improved physics and validation
+// Advance the lobby simulation and relay its events to clients
 function updateGameState(lobbyId, deltaTime = 1/CONFIG.tickRate) {
     const lobby = lobbies.get(lobbyId);
     if (!lobby || lobby.gameState !== 'playing') return;
 
     // Validate game state
-    if (lobby.players.size < CONFIG.minPlayersToStart) {
+    if (lobby.players.size < getMinPlayers(lobby)) {
         endGame(lobbyId, null);
         return;
     }
 
-    // Move players according to input with improved physics
-    lobby.players.forEach(player => {
-        try {
-            if (!player || typeof player.size !== 'number') {
-                console.error('Invalid player data:', player);
-                return;
-            }
-
-            if (player.input && (player.input.x !== 0 || player.input.y !== 0)) {
-                // Speed decreases with size for better balance
-                const moveSpeed = CONFIG.forceMagnitude * Math.pow(1 / player.size, 0.5) * deltaTime;
-                
-                // Normalize diagonal movement
-                const inputMagnitude = Math.sqrt(player.input.x * player.input.x + player.input.y * player.input.y);
-                if (inputMagnitude > 0) {
-                    const normalizedInput = {
-                        x: player.input.x / inputMagnitude,
-                        y: player.input.y / inputMagnitude
-                    };
-                    
-                    player.x += normalizedInput.x * moveSpeed;
-                    player.y += normalizedInput.y * moveSpeed;
-                }
-                
-                // Smooth boundary collision with bounce effect
-                const boundaryForce = 0.8;
-                const boundaryDistance = 2;
-                
-                if (player.x < -CONFIG.mapWidth + boundaryDistance) {
-                    player.x = Math.max(-CONFIG.mapWidth, player.x);
-                    player.input.x *= -boundaryForce; // Bounce
-                } else if (player.x > CONFIG.mapWidth - boundaryDistance) {
-                    player.x = Math.min(CONFIG.mapWidth, player.x);
-                    player.input.x *= -boundaryForce; // Bounce
-                }
-                
-                if (player.y < -CONFIG.mapHeight + boundaryDistance) {
-                    player.y = Math.max(-CONFIG.mapHeight, player.y);
-                    player.input.y *= -boundaryForce; // Bounce
-                } else if (player.y > CONFIG.mapHeight - boundaryDistance) {
-                    player.y = Math.min(CONFIG.mapHeight, player.y);
-                    player.input.y *= -boundaryForce; // Bounce
-                }
-            }
-            
-            // Update last activity timestamp
-            player.lastUpdate = Date.now();
-            
-        } catch (error) {
-            console.error(`Error updating player ${player?.id}:`, error);
+    const events = lobby.simulation.step(lobby.pendingInputs, deltaTime);
+    
+    // Remember which input each player has had applied, for client reconciliation
+    lobby.pendingInputs.forEach((input, playerId) => {
+        const player = lobby.players.get(playerId);
+        if (player) {
+            player.lastInputSeq = input.seq;
         }
     });
-    
-    try {
-        // Check for collisions
-        checkFoodCollisions(lobbyId);
-        checkPlayerCollisions(lobbyId);
-        
-        // Clean up inactive players
-        const now = Date.now();
-        for (const [playerId, player] of lobby.players) {
-            if (now - player.lastUpdate > 5000) { // 5 seconds timeout
-                console.log(`Removing inactive player ${playerId} from lobby ${lobbyId}`);
-                lobby.players.delete(playerId);
+    lobby.pendingInputs.clear();
+
+    events.forEach(event => {
+        switch (event.type) {
+            case 'food_eaten':
+                sendFoodEaten(lobbyId, event);
+                break;
+            case 'player_eaten':
+                absorbPlayer(lobbyId, event);
+                break;
+            // Power-ups are few, everyone in the lobby sees all of them
+            case 'power_up_spawned':
                 broadcastToLobby(lobbyId, {
-                    type: 'player_disconnected',
-                    playerId: playerId
+                    type: 'power_up_spawned',
+                    powerUp: event.powerUp
                 });
-            }
-        }
-        
-        // Check for game end condition
-        if (lobby.gameState === 'playing' && lobby.players.size <= 1) {
-            const remainingPlayers = Array.from(lobby.players.values());
-            endGame(lobbyId, remainingPlayers[0]?.id);
+                break;
+            case 'power_up_collected':
+                broadcastToLobby(lobbyId, {
+                    type: 'power_up_collected',
+                    id: event.powerUp.id,
+                    effect: event.powerUp.type,
+                    by: event.by
+                });
+                break;
         }
-    } catch (error) {
-        console.error(`Error in collision detection for lobby ${lobbyId}:`, error);
+    });
+    
+    // Arena rounds never end, only track each player's best size
+    if (isArena(lobby)) {
+        lobby.simulation.players.forEach(blob => {
+            const player = lobby.players.get(blob.id);
+            if (player && blob.size > player.bestSize) {
+                player.bestSize = blob.size;
+            }
+        });
+        return;
     }
+
+    checkRoundEnd(lobbyId);
 }
 
-// Check for food collisions
-function checkFoodCollisions(lobbyId) {
+// End a running elimination round once one player is left, or a team round
+// once the players left are all on one team. Eliminated players stay in the
+// lobby.
+function checkRoundEnd(lobbyId) {
     const lobby = lobbies.get(lobbyId);
-    if (!lobby) return;
+    if (!lobby || lobby.gameState !== 'playing' || isArena(lobby)) return;
 
-    lobby.players.forEach(player => {
-        for (let i = lobby.foodItems.length - 1; i >= 0; i--) {
-            const food = lobby.foodItems[i];
-            const dx = player.x - food.x;
-            const dy = player.y - food.y;
-            const distance = Math.sqrt(dx * dx + dy * dy);
-            
-            // Check if player touches food
-            if (distance < player.size + CONFIG.foodSize) {
-                // Grow player
-                player.size += CONFIG.growthRate;
-                
-                // Notify clients
-                broadcastToLobby(lobbyId, {
-                    type: 'food_eaten',
-                    x: food.x,
-                    y: food.y,
-                    by: player.id
-                });
-                
-                // Remove eaten food
-                lobby.foodItems.splice(i, 1);
-                
-                // Add new food if less than threshold
-                if (lobby.foodItems.length < CONFIG.foodCount * CONFIG.respawnThreshold) {
-                    for (let j = 0; j < CONFIG.respawnAmount; j++) {
-                        const newFood = {
-                            x: (Math.random() * 2 - 1) * CONFIG.mapWidth,
-                            y: (Math.random() * 2 - 1) * CONFIG.mapHeight
-                        };
-                        
-                        lobby.foodItems.push(newFood);
-                        
-                        // Notify clients about new food
-                        broadcastToLobby(lobbyId, {
-                            type: 'food_eaten',
-                            x: food.x,
-                            y: food.y,
-                            by: player.id,
-                            newFood: newFood
-                        });
-                    }
-                }
-            }
+    if (isTeams(lobby)) {
+        const teams = lobby.simulation.getRemainingTeams();
+        if (teams.size <= 1) {
+            endGame(lobbyId, null, teams.size === 1 ? teams.values().next().value : null);
         }
-    });
+        return;
+    }
+
+    if (lobby.simulation.players.size <= 1) {
+        const remainingPlayers = Array.from(lobby.simulation.players.keys());
+        endGame(lobbyId, remainingPlayers[0]);
+    }
 }
 
-// Check for player-player collisions with improved physics
-function checkPlayerCollisions(lobbyId) {
+// Notify the clients that could see the eaten food
+// Spawned food reaches clients through their area of interest instead
+function sendFoodEaten(lobbyId, event) {
     const lobby = lobbies.get(lobbyId);
     if (!lobby) return;
 
-    const playerList = Array.from(lobby.players.values());
-    
-    for (let i = 0; i < playerList.length; i++) {
-        const playerA = playerList[i];
-        if (!playerA || !playerA.id) continue;
-        
-        for (let j = i + 1; j < playerList.length; j++) {
-            const playerB = playerList[j];
-            if (!playerB || !playerB.id) continue;
-            
-            try {
-                const dx = playerA.x - playerB.x;
-                const dy = playerA.y - playerB.y;
-                const distanceSquared = dx * dx + dy * dy;
-                const distance = Math.sqrt(distanceSquared);
-                const touchDistance = playerA.size + playerB.size;
-                
-                // Check if players touch
-                if (distance < touchDistance) {
-                    // Determine if one can absorb the other
-                    if (playerA.size > playerB.size * CONFIG.absorptionThreshold) {
-                        // A absorbs B with momentum conservation
-                        const massRatio = playerB.size / playerA.size;
-                        playerA.size += playerB.size * 0.5;
-                        // Transfer some momentum
-                        if (playerB.input) {
-                            playerA.input.x += playerB.input.x * massRatio * 0.5;
-                            playerA.input.y += playerB.input.y * massRatio * 0.5;
-                        }
-                        absorbPlayer(lobbyId, playerA.id, playerB.id);
-                    } else if (playerB.size > playerA.size * CONFIG.absorptionThreshold) {
-                        // B absorbs A with momentum conservation
-                        const massRatio = playerA.size / playerB.size;
-                        playerB.size += playerA.size * 0.5;
-                        // Transfer some momentum
-                        if (playerA.input) {
-                            playerB.input.x += playerA.input.x * massRatio * 0.5;
-                            playerB.input.y += playerA.input.y * massRatio * 0.5;
-                        }
-                        absorbPlayer(lobbyId, playerB.id, playerA.id);
-                    } else {
-                        // Elastic collision with size-based momentum
-                        const angle = Math.atan2(dy, dx);
-                        const overlap = touchDistance - distance;
-                        
-                        // Mass-like properties based on size
-                        const totalMass = playerA.size + playerB.size;
-                        const massRatioA = playerA.size / totalMass;
-                        const massRatioB = playerB.size / totalMass;
-                        
-                        // Separation to prevent sticking
-                        const separation = overlap * 0.5;
-                        const separationX = Math.cos(angle) * separation;
-                        const separationY = Math.sin(angle) * separation;
-                        
-                        // Apply separation
-                        playerA.x += separationX * massRatioB;
-                        playerA.y += separationY * massRatioB;
-                        playerB.x -= separationX * massRatioA;
-                        playerB.y -= separationY * massRatioA;
-                        
-                        // Exchange momentum
-                        if (playerA.input && playerB.input) {
-                            const tempX = playerA.input.x;
-                            const tempY = playerA.input.y;
-                            
-                            playerA.input.x = (playerA.input.x * (massRatioA - massRatioB) + 
-                                              2 * massRatioB * playerB.input.x) * 0.8;
-                            playerA.input.y = (playerA.input.y * (massRatioA - massRatioB) + 
-                                              2 * massRatioB * playerB.input.y) * 0.8;
-                            
-                            playerB.input.x = (playerB.input.x * (massRatioB - massRatioA) + 
-                                              2 * massRatioA * tempX) * 0.8;
-                            playerB.input.y = (playerB.input.y * (massRatioB - massRatioA) + 
-                                              2 * massRatioA * tempY) * 0.8;
-                        }
-                    }
-                }
-            } catch (error) {
-                console.error(`Error in collision between players ${playerA?.id} and ${playerB?.id}:`, error);
-            }
-        }
-    }
+    getLobbyClients(lobby).forEach(client => {
+        if (!client.interest || !client.interest.food.has(event.food)) return;
+
+        client.interest.food.delete(event.food);
+        sendToClient(client.id, {
+            type: 'food_eaten',
+            x: event.food.x,
+            y: event.food.y,
+            by: event.by
+        });
+    });
 }
 
 // Player absorption (when one player eats another)
-function absorbPlayer(lobbyId, absorberId, absorbeId) {
+// The eaten player keeps its lobby seat for the results and a rematch
+function absorbPlayer(lobbyId, event) {
     const lobby = lobbies.get(lobbyId);
     if (!lobby) return;
 
-    // Find eliminated player's client
-    let eliminatedClient = null;
-    for (const [id, client] of clients.entries()) {
-        if (client.playerId === absorbeId) {
-            eliminatedClient = client;
-            break;
-        }
+    const eliminatedPlayer = lobby.players.get(event.eaten);
+    const eliminatedClient = eliminatedPlayer ? clients.get(eliminatedPlayer.clientId) : null;
+
+    // Arena rounds have no final standings to build
+    if (!isArena(lobby)) {
+        lobby.eliminations.push({
+            id: event.eaten,
+            by: event.by,
+            size: event.size
+        });
     }
 
-    if (eliminatedClient) {
-        // Remove player from lobby
-        lobby.players.delete(absorbeId);
-        eliminatedClient.playerId = null;
+    // The eaten player and its watchers now follow the one who ate it
+    getLobbyClients(lobby).forEach(client => {
+        if (client.playerId === event.eaten || client.spectateTarget === event.eaten) {
+            setSpectateTarget(client, event.by);
+        }
+    });
 
-        // Notify all clients about player elimination
-        broadcastToLobby(lobbyId, {
-            type: 'player_eaten',
-            eaten: absorbeId,
-            by: absorberId
-        });
+    // Notify all clients about player elimination
+    broadcastToLobby(lobbyId, {
+        type: 'player_eaten',
+        eaten: event.eaten,
+        by: event.by
+    });
 
-        // Notify eliminated player specifically
+    // Arena players come back after a delay, otherwise they are out
+    if (isArena(lobby) && eliminatedPlayer) {
+        clearTimeout(eliminatedPlayer.respawnTimer);
+        eliminatedPlayer.respawnTimer = setTimeout(() => {
+            respawnPlayer(lobbyId, eliminatedPlayer.id);
+        }, CONFIG.respawnDelay);
+        if (eliminatedClient) {
+            sendToClient(eliminatedClient.id, {
+                type: 'you_were_eaten',
+                by: event.by,
+                respawnIn: CONFIG.respawnDelay
+            });
+        }
+    } else if (eliminatedClient) {
         sendToClient(eliminatedClient.id, {
             type: 'you_were_eliminated'
         });
     }
-
-    // Check if game should end
-    if (lobby.players.size <= 1 && lobby.gameState === 'playing') {
-        const remainingPlayers = Array.from(lobby.players.values());
-        endGame(lobbyId, remainingPlayers[0]?.id);
-    }
 }
 
 // Broadcast current game state to all clients
@@ -838,70 +1892,194 @@ function broadcastGameState(lobbyId) {
 
     if (lobby.gameState !== 'playing') return;
     
+    const snapshotId = ++lobby.snapshotId;
+    const time = Date.now(); // Server timestamp for client-side interpolation
+    const current = quantizePlayers(lobby.simulation.getPlayerStates().map(state => ({
+        ...state,
+        seq: lobby.players.get(state.id)?.lastInputSeq || 0 // Last processed input
+    })));
+    
+    // Each client gets the players in its area of interest, as a delta
+    // against the last snapshot it acknowledged
+    getLobbyClients(lobby).forEach(client => {
+        const viewer = getViewer(lobby, client);
+        if (!viewer) return;
+        
+        updateClientInterest(client, lobby.simulation, viewer);
+        const visible = new Map();
+        current.forEach((state, id) => {
+            if (client.interest.players.has(id)) {
+                visible.set(id, state);
+            }
+        });
+        
+        const baselineId = client.snapshots.has(client.ackedSnapshot) ? client.ackedSnapshot : null;
+        const delta = diffSnapshot(baselineId !== null ? client.snapshots.get(baselineId) : null, visible);
+        
+        client.snapshots.set(snapshotId, visible);
+        if (client.snapshots.size > SNAPSHOT_HISTORY) {
+            client.snapshots.delete(client.snapshots.keys().next().value);
+        }
+        
+        sendToClient(client.id, {
+            type: 'game_update',
+            time: time,
+            snapshot: snapshotId,
+            baseline: baselineId,
+            players: delta.players,
+            removed: delta.removed
+        });
+    });
+}
+
+// Recompute what a client sees and tell it about entities entering or leaving
+function updateClientInterest(client, simulation, viewer) {
+    const interest = computeInterest(simulation, viewer, CONFIG.viewRadius, client.interest);
+    client.interest = interest;
+
+    const { entered, left } = interest;
+    if (entered.players.length === 0 && entered.food.length === 0 &&
+        left.players.length === 0 && left.food.length === 0) {
+        return;
+    }
+
+    // Players are created from the next game_update, food needs its position
+    sendToClient(client.id, {
+        type: 'interest_update',
+        entered: { players: entered.players, food: entered.food },
+        left: { players: left.players, food: left.food }
+    });
+}
+
+// Broadcast player sizes for the score panel, which lists everyone in the
+// round and not only the players in view
+function broadcastScores(lobbyId) {
+    const lobby = lobbies.get(lobbyId);
+    if (!lobby || !lobby.simulation) return;
+
     broadcastToLobby(lobbyId, {
-        type: 'game_update',
-        players: Array.from(lobby.players.values()).map(player => ({
+        type: 'scores',
+        players: Array.from(lobby.simulation.players.values()).map(player => ({
             id: player.id,
-            x: player.x,
-            y: player.y,
             size: player.size
-        }))
+        })),
+        leaderboard: isArena(lobby) ? getLeaderboard(lobby) : null,
+        teams: isTeams(lobby) ? getTeamScores(lobby) : null
     });
 }
 
+// Team mode: total size and players left of each team, biggest first
+function getTeamScores(lobby) {
+    const scores = TEAMS.slice(0, lobby.settings.teamCount).map((team, index) => ({
+        team: index,
+        size: 0,
+        alive: 0
+    }));
+    lobby.simulation.players.forEach(player => {
+        const score = scores[player.team];
+        if (score) {
+            score.size += player.size;
+            score.alive++;
+        }
+    });
+    return scores.sort((a, b) => b.size - a.size);
+}
+
 // End the game
-function endGame(lobbyId, winnerId) {
+// Team rounds pass the index of the winning team instead of a winner
+function endGame(lobbyId, winnerId, winningTeam = null) {
     const lobby = lobbies.get(lobbyId);
     if (!lobby || lobby.gameState !== 'playing') return;
 
+    lobby.gameState = 'over';
+    scheduleLobbyListUpdate();
+
     // Stop all game updates
     if (lobby.gameTickInterval) {
         clearInterval(lobby.gameTickInterval);
         lobby.gameTickInterval = null;
     }
 
-    const winner = lobby.players.get(winnerId);
+    const winner = lobby.simulation ? lobby.simulation.getPlayer(winnerId) : null;
+    const teamScore = winningTeam !== null && lobby.simulation ?
+        getTeamScores(lobby).find(score => score.team === winningTeam) : null;
     
+    // Ready flags become rematch votes during the results
+    lobby.players.forEach(player => {
+        player.ready = false;
+    });
+
     // Send game over to everyone
-    broadcastToLobby(lobbyId, {
+    lobby.gameOver = {
         type: 'game_over',
         winner: winnerId,
-        size: winner ? winner.size : 0
-    });
-
-    // Wait 3 seconds then force disconnect everyone
-    setTimeout(() => {
-        lobby.players.forEach(player => {
-            const client = clients.get(player.clientId);
-            if (client && client.ws) {
-                // Tell client to prepare for reconnect
-                sendToClient(client.id, { type: 'prepare_reconnect' });
-                
-                // Close their connection
-                client.ws.close();
-            }
-        });
-        
-        // Delete the lobby
-        lobbies.delete(lobbyId);
-    }, 3000);
+        winningTeam: winningTeam,
+        size: teamScore ? teamScore.size : (winner ? winner.size : 0),
+        results: getGameResults(lobby),
+        rematchIn: CONFIG.postGameDuration
+    };
+    broadcastToLobby(lobbyId, lobby.gameOver);
+    sendRematchVotes(lobbyId);
+
+    // Everyone returns to the lobby after the results, even without a vote
+    lobby.postGameTimeout = setTimeout(() => {
+        resetLobby(lobbyId);
+    }, CONFIG.postGameDuration);
+}
+
+// Final standings: players still alive by size, then the eliminated ones
+// from last to first eaten
+function getGameResults(lobby) {
+    const alive = lobby.simulation ? Array.from(lobby.simulation.players.values())
+        .sort((a, b) => b.size - a.size)
+        .map(player => ({ id: player.id, size: player.size, eatenBy: null })) : [];
+    const eliminated = lobby.eliminations.slice().reverse()
+        .map(entry => ({ id: entry.id, size: entry.size, eatenBy: entry.by }));
+
+    return alive.concat(eliminated)
+        .filter(entry => lobby.players.has(entry.id))
+        .map((entry, index) => ({
+            ...entry,
+            place: index + 1,
+            name: lobby.players.get(entry.id).name
+        }));
+}
+
+// Send a typed error to a specific client
+function sendError(clientId, code, message) {
+    sendToClient(clientId, {
+        type: 'error',
+        code: code,
+        message: message
+    });
 }
 
 // Send message to a specific client
 function sendToClient(clientId, message) {
     const client = clients.get(clientId);
     if (client && client.ws.readyState === WebSocket.OPEN) {
-        client.ws.send(JSON.stringify(message));
+        client.ws.send(encodeMessage(message, client.protocol));
     }
 }
 
+// Encode a message once per wire format for broadcasting
+function createMessageEncoder(message) {
+    const encoded = new Map();
+    return (protocol) => {
+        if (!encoded.has(protocol)) {
+            encoded.set(protocol, encodeMessage(message, protocol));
+        }
+        return encoded.get(protocol);
+    };
+}
+
 // Broadcast message to all connected clients
 function broadcastToAll(message) {
-    const serializedMessage = JSON.stringify(message);
+    const serializeMessage = createMessageEncoder(message);
     
     clients.forEach(client => {
         if (client.ws.readyState === WebSocket.OPEN) {
-            client.ws.send(serializedMessage);
+            client.ws.send(serializeMessage(client.protocol));
         }
     });
 }
@@ -911,11 +2089,10 @@ function broadcastToLobby(lobbyId, message) {
     const lobby = lobbies.get(lobbyId);
     if (!lobby) return;
 
-    const serializedMessage = JSON.stringify(message);
-    lobby.players.forEach(player => {
-        const client = clients.get(player.clientId);
-        if (client && client.ws.readyState === WebSocket.OPEN) {
-            client.ws.send(serializedMessage);
+    const serializeMessage = createMessageEncoder(message);
+    getLobbyClients(lobby).forEach(client => {
+        if (client.ws.readyState === WebSocket.OPEN) {
+            client.ws.send(serializeMessage(client.protocol));
         }
     });
 }
@@ -927,6 +2104,9 @@ process.on('SIGINT', () => {
     // Clear intervals
     if (countdownInterval) clearInterval(countdownInterval);
     if (gameTickInterval) clearInterval(gameTickInterval);
+    clearInterval(matchmakingInterval);
+    clearInterval(lobbyCleanupInterval);
+    Array.from(lobbies.keys()).forEach(lobbyId => closeLobby(lobbyId, 'Server shutting down'));
     
     // Close all WebSocket connections
     wss.clients.forEach(client => {
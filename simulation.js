@@ -0,0 +1,913 @@
+// Headless game simulation
+// Holds the authoritative world state (players, food, power-ups, obstacles
+// and hazards) and advances it with
+// step(inputs, deltaTime). It never touches sockets or timers: every outcome
+// of a tick is returned as a list of events for the caller to act on, and all
+// randomness comes from a seeded generator so runs are reproducible.
+
+const { SpatialGrid } = require('./spatial-grid');
+const { POWER_UP_TYPES, hasEffectHook, getSpeedMultiplier, getFoodReach } = require('./powerups');
+
+// Default game rules (same values as the server CONFIG)
+const DEFAULT_RULES = {
+    foodCount: 100,
+    playerStartSize: 1,
+    foodSize: 0.3,
+    growthRate: 0.05,
+    absorptionThreshold: 1.2,
+    forceMagnitude: 10,
+    respawnThreshold: 0.3,
+    respawnAmount: 10,
+    mapWidth: 20,
+    mapHeight: 15,
+    gridCellSize: 4, // Cell size of the collision spatial index
+    spawnAttempts: 10, // Candidate positions tried when spawning into a running round
+    maxCells: 8, // Cells a player can split into
+    minSplitSize: 2, // Cells smaller than this can't split
+    splitSpeed: 20, // Launch speed of a new cell
+    splitDecay: 4, // How fast the launch speed fades (per second)
+    mergeDelay: 8, // Seconds before split cells can merge again
+    mergeSpeed: 2, // Speed at which cells that may merge drift back together
+    boostMultiplier: 2, // Speed multiplier while boosting
+    boostDuration: 0.5, // Seconds a boost lasts
+    boostCooldown: 2, // Seconds between boosts
+    boostCost: 0.1, // Share of each cell's size ejected as a pellet when boosting
+    minBoostSize: 1.5, // Players smaller than this can't boost
+    maxPowerUps: 3, // Power-ups on the map at once, see powerups.js
+    powerUpInterval: 8, // Seconds between power-up spawns
+    powerUpSize: 0.5,
+    obstacleCount: 4, // Circular obstacles
+    obstacleMinRadius: 1,
+    obstacleMaxRadius: 2.5,
+    wallCount: 3,
+    wallLength: 8,
+    wallThickness: 0.6,
+    hazardCount: 4, // Spikes
+    hazardRadius: 0.8,
+    hazardMinSize: 2, // Cells smaller than this pass over hazards unharmed
+    hazardShrink: 0.2, // Share of size a hazard takes when it can't split the cell
+    hazardKnockback: 15 // Speed cells are thrown away from a hazard at
+};
+
+// Launch speed below this is dropped, so idle players stop drifting
+const MIN_DRIFT_SPEED = 0.01;
+
+// Seeded random number generator (mulberry32), returns floats in [0, 1)
+function createRng(seed) {
+    let state = seed >>> 0;
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Append item to items, recording its index in slots
+function addToSlots(items, slots, item) {
+    slots.set(item, items.length);
+    items.push(item);
+}
+
+// Remove item in constant time by moving the last item into its slot
+function removeFromSlots(items, slots, item) {
+    const index = slots.get(item);
+    if (index === undefined) return false;
+
+    const last = items.pop();
+    if (last !== item) {
+        items[index] = last;
+        slots.set(last, index);
+    }
+    slots.delete(item);
+    return true;
+}
+
+// Movement speed per second for a blob of the given size
+// Speed decreases with size for better balance
+function getMoveSpeed(rules, size, boosting = false) {
+    return rules.forceMagnitude * Math.pow(1 / size, 0.5) * (boosting ? rules.boostMultiplier : 1);
+}
+
+// Normalize an input vector, rejecting anything that is not a finite number
+function normalizeInput(input) {
+    if (!input || !Number.isFinite(input.x) || !Number.isFinite(input.y)) {
+        return { x: 0, y: 0 };
+    }
+
+    const length = Math.sqrt(input.x * input.x + input.y * input.y);
+    if (length > 0) {
+        return {
+            x: input.x / length,
+            y: input.y / length
+        };
+    }
+    return { x: 0, y: 0 };
+}
+
+function createCell(x, y, size) {
+    return { x: x, y: y, size: size, vx: 0, vy: 0, mergeAt: 0 };
+}
+
+// Radius of a circle around (x, y) covering the whole map object
+function getBoundingRadius(object) {
+    return object.kind === 'wall' ? Math.sqrt(object.halfWidth * object.halfWidth + object.halfHeight * object.halfHeight) : object.radius;
+}
+
+// Push a circle {x, y, size} out of a map object, a 'wall' rectangle or
+// anything else with a radius. Returns the push direction, or null when they
+// don't overlap.
+function resolveObstacleCollision(body, obstacle) {
+    let dx;
+    let dy;
+    let reach;
+    if (obstacle.kind === 'wall') {
+        // Closest point of the rectangle to the body's center
+        const closestX = Math.min(Math.max(body.x, obstacle.x - obstacle.halfWidth), obstacle.x + obstacle.halfWidth);
+        const closestY = Math.min(Math.max(body.y, obstacle.y - obstacle.halfHeight), obstacle.y + obstacle.halfHeight);
+        dx = body.x - closestX;
+        dy = body.y - closestY;
+        reach = body.size;
+
+        // Center inside the wall: leave through the nearest side
+        if (dx === 0 && dy === 0) {
+            const exitX = obstacle.halfWidth - Math.abs(body.x - obstacle.x);
+            const exitY = obstacle.halfHeight - Math.abs(body.y - obstacle.y);
+            const signX = body.x < obstacle.x ? -1 : 1;
+            const signY = body.y < obstacle.y ? -1 : 1;
+            if (exitX < exitY) {
+                body.x += signX * (exitX + body.size);
+                return { x: signX, y: 0 };
+            }
+            body.y += signY * (exitY + body.size);
+            return { x: 0, y: signY };
+        }
+    } else {
+        dx = body.x - obstacle.x;
+        dy = body.y - obstacle.y;
+        reach = body.size + obstacle.radius;
+    }
+
+    const distanceSquared = dx * dx + dy * dy;
+    if (distanceSquared >= reach * reach) return null;
+
+    const distance = Math.sqrt(distanceSquared);
+    const normal = distance > 0 ? { x: dx / distance, y: dy / distance } : { x: 1, y: 0 };
+    body.x += normal.x * (reach - distance);
+    body.y += normal.y * (reach - distance);
+    return normal;
+}
+
+class Simulation {
+    constructor(options = {}) {
+        this.rules = { ...DEFAULT_RULES, ...options.rules };
+        this.seed = options.seed !== undefined ? options.seed >>> 0 : Math.floor(Math.random() * 0x100000000);
+        this.random = createRng(this.seed);
+        // Each player owns one or more cells {x, y, size, vx, vy, mergeAt};
+        // x, y and size are the cells' center of mass and total size
+        this.players = new Map(); // Maps playerId -> {id, x, y, size, input, cells}
+        this.foodItems = []; // Array of {x, y}, in no particular order
+        this.foodSlots = new Map(); // Maps food item -> index in foodItems
+        this.foodGrid = new SpatialGrid(this.rules.gridCellSize); // Index of foodItems
+        this.powerUps = []; // Array of {id, type, x, y}, in no particular order
+        this.powerUpSlots = new Map(); // Maps power-up -> index in powerUps
+        this.nextPowerUpId = 1;
+        this.nextPowerUpAt = this.rules.powerUpInterval; // Simulated time of the next spawn
+        this.obstacles = []; // Array of {kind: 'circle', x, y, radius} or {kind: 'wall', x, y, halfWidth, halfHeight}
+        this.hazards = []; // Array of {kind: 'spikes', x, y, radius}
+        this.mapGrid = new SpatialGrid(this.rules.gridCellSize); // Index of obstacles and hazards
+        this.mapReach = 0; // Largest bounding radius in mapGrid, for its queries
+        this.tick = 0;
+        this.time = 0; // Simulated seconds, for cell merge timers
+        this.events = [];
+    }
+
+    // Add a player entity at the given position
+    addPlayer(id, x = 0, y = 0) {
+        const player = {
+            id: id,
+            x: x,
+            y: y,
+            size: this.rules.playerStartSize,
+            input: { x: 0, y: 0 },
+            cells: [createCell(x, y, this.rules.playerStartSize)],
+            boostUntil: 0, // Simulated time the current boost ends
+            boostReadyAt: 0, // Simulated time the next boost is allowed
+            effects: [], // Active power-up effects {type, endsAt}
+            team: null // Team index in team mode, teammates can't absorb each other
+        };
+        this.players.set(id, player);
+        return player;
+    }
+
+    // Recompute a player's center of mass and total size from its cells
+    updateBounds(player) {
+        let size = 0;
+        let x = 0;
+        let y = 0;
+        player.cells.forEach(cell => {
+            size += cell.size;
+            x += cell.x * cell.size;
+            y += cell.y * cell.size;
+        });
+        player.size = size;
+        player.x = x / size;
+        player.y = y / size;
+    }
+
+    // Add a player at the candidate position furthest from other players' edges
+    spawnPlayer(id) {
+        let best = null;
+        let bestClearance = -Infinity;
+        for (let i = 0; i < this.rules.spawnAttempts; i++) {
+            const candidate = this.randomFoodPosition(this.rules.playerStartSize);
+            let clearance = Infinity;
+            this.players.forEach(player => {
+                const dx = player.x - candidate.x;
+                const dy = player.y - candidate.y;
+                clearance = Math.min(clearance, Math.sqrt(dx * dx + dy * dy) - player.size);
+            });
+            if (clearance > bestClearance) {
+                best = candidate;
+                bestClearance = clearance;
+            }
+        }
+        return this.addPlayer(id, best.x, best.y);
+    }
+
+    removePlayer(id) {
+        return this.players.delete(id);
+    }
+
+    getPlayer(id) {
+        return this.players.get(id) || null;
+    }
+
+    setPlayerTeam(id, team) {
+        const player = this.players.get(id);
+        if (player) {
+            player.team = team;
+        }
+    }
+
+    areTeammates(playerA, playerB) {
+        return playerA.team !== null && playerA.team === playerB.team;
+    }
+
+    // Teams that still have a player in the round
+    getRemainingTeams() {
+        const teams = new Set();
+        this.players.forEach(player => teams.add(player.team));
+        return teams;
+    }
+
+    // Position players in a circle around the center and reset their size
+    placePlayers() {
+        const playerList = Array.from(this.players.values());
+        const radius = Math.min(this.rules.mapWidth, this.rules.mapHeight) / 3;
+        const angleStep = (2 * Math.PI) / playerList.length;
+
+        playerList.forEach((player, index) => {
+            const angle = angleStep * index;
+            player.cells = [createCell(Math.cos(angle) * radius, Math.sin(angle) * radius, this.rules.playerStartSize)];
+            player.input = { x: 0, y: 0 };
+            player.boostUntil = 0;
+            player.boostReadyAt = 0;
+            player.effects = [];
+            this.updateBounds(player);
+        });
+    }
+
+    // Fill the map with a fresh set of food items
+    generateFood() {
+        this.foodItems = [];
+        this.foodSlots.clear();
+        this.foodGrid.clear();
+        for (let i = 0; i < this.rules.foodCount; i++) {
+            this.addFood(this.randomFoodPosition());
+        }
+    }
+
+    addFood(food) {
+        addToSlots(this.foodItems, this.foodSlots, food);
+        this.foodGrid.insert(food, food.x, food.y);
+    }
+
+    removeFood(food) {
+        removeFromSlots(this.foodItems, this.foodSlots, food);
+        this.foodGrid.remove(food);
+    }
+
+    // Random spot at least margin away from every obstacle, if one is found
+    // within spawnAttempts tries
+    randomFoodPosition(margin = this.rules.foodSize) {
+        let position;
+        for (let i = 0; i < this.rules.spawnAttempts; i++) {
+            position = {
+                x: (this.random() * 2 - 1) * this.rules.mapWidth,
+                y: (this.random() * 2 - 1) * this.rules.mapHeight
+            };
+            if (!this.isBlocked(position.x, position.y, margin)) break;
+        }
+        return position;
+    }
+
+    // Whether a circle of the given radius at (x, y) overlaps an obstacle
+    isBlocked(x, y, radius) {
+        return this.mapGrid.query(x, y, radius + this.mapReach).some(object =>
+            object.kind !== 'spikes' && resolveObstacleCollision({ x, y, size: radius }, object) !== null);
+    }
+
+    // Scatter obstacles, walls and hazards over the map
+    // They keep clear of each other and of the ring placePlayers starts
+    // players on, so nobody starts a round stuck.
+    generateMap() {
+        this.obstacles = [];
+        this.hazards = [];
+        this.mapGrid.clear();
+        this.mapReach = 0;
+
+        const { obstacleMinRadius, obstacleMaxRadius, wallLength, wallThickness } = this.rules;
+        for (let i = 0; i < this.rules.obstacleCount; i++) {
+            const radius = obstacleMinRadius + this.random() * (obstacleMaxRadius - obstacleMinRadius);
+            this.placeMapObject(this.obstacles, { kind: 'circle', radius: radius });
+        }
+        for (let i = 0; i < this.rules.wallCount; i++) {
+            const horizontal = this.random() < 0.5;
+            this.placeMapObject(this.obstacles, {
+                kind: 'wall',
+                halfWidth: (horizontal ? wallLength : wallThickness) / 2,
+                halfHeight: (horizontal ? wallThickness : wallLength) / 2
+            });
+        }
+        for (let i = 0; i < this.rules.hazardCount; i++) {
+            this.placeMapObject(this.hazards, { kind: 'spikes', radius: this.rules.hazardRadius });
+        }
+    }
+
+    // Find a free spot for a map object and add it to list, gives up after
+    // a bounded number of tries on crowded maps
+    placeMapObject(list, object) {
+        const { mapWidth, mapHeight, playerStartSize } = this.rules;
+        const bound = getBoundingRadius(object);
+        const ringRadius = Math.min(mapWidth, mapHeight) / 3;
+        const clearance = playerStartSize * 2;
+
+        for (let attempt = 0; attempt < this.rules.spawnAttempts * 5; attempt++) {
+            const x = (this.random() * 2 - 1) * (mapWidth - bound);
+            const y = (this.random() * 2 - 1) * (mapHeight - bound);
+            if (Math.abs(Math.sqrt(x * x + y * y) - ringRadius) < bound + clearance) continue;
+
+            const crowded = this.mapGrid.query(x, y, bound + this.mapReach + clearance).some(other => {
+                const dx = other.x - x;
+                const dy = other.y - y;
+                const gap = bound + getBoundingRadius(other) + clearance;
+                return dx * dx + dy * dy < gap * gap;
+            });
+            if (crowded) continue;
+
+            object.x = x;
+            object.y = y;
+            list.push(object);
+            this.mapGrid.insert(object, x, y);
+            this.mapReach = Math.max(this.mapReach, bound);
+            return;
+        }
+    }
+
+    setInput(playerId, input) {
+        const player = this.players.get(playerId);
+        if (!player) return;
+        player.input = normalizeInput(input);
+    }
+
+    // Split every cell big enough in two, launching the new halves forward
+    splitPlayer(playerId) {
+        const player = this.players.get(playerId);
+        if (!player) return;
+
+        let direction = normalizeInput(player.input);
+        if (direction.x === 0 && direction.y === 0) {
+            const angle = this.random() * 2 * Math.PI;
+            direction = { x: Math.cos(angle), y: Math.sin(angle) };
+        }
+
+        const newCells = [];
+        player.cells.forEach(cell => {
+            if (cell.size < this.rules.minSplitSize) return;
+            if (player.cells.length + newCells.length >= this.rules.maxCells) return;
+
+            newCells.push(this.splitCell(cell, direction));
+        });
+        player.cells.push(...newCells);
+    }
+
+    // Halve a cell, returns the other half launched in direction
+    splitCell(cell, direction) {
+        cell.size /= 2;
+        cell.mergeAt = this.time + this.rules.mergeDelay;
+        const newCell = createCell(cell.x + direction.x * cell.size, cell.y + direction.y * cell.size, cell.size);
+        newCell.vx = direction.x * this.rules.splitSpeed;
+        newCell.vy = direction.y * this.rules.splitSpeed;
+        newCell.mergeAt = cell.mergeAt;
+        return newCell;
+    }
+
+    // Speed up for a moment, paying for it with mass ejected behind each cell
+    // The pellets are food items worth their mass to whoever eats them.
+    boostPlayer(playerId) {
+        const player = this.players.get(playerId);
+        if (!player || this.time < player.boostReadyAt || player.size < this.rules.minBoostSize) return;
+
+        player.boostUntil = this.time + this.rules.boostDuration;
+        player.boostReadyAt = this.time + this.rules.boostCooldown;
+
+        let direction = normalizeInput(player.input);
+        if (direction.x === 0 && direction.y === 0) {
+            const angle = this.random() * 2 * Math.PI;
+            direction = { x: Math.cos(angle), y: Math.sin(angle) };
+        }
+
+        const { mapWidth, mapHeight, foodSize } = this.rules;
+        player.cells.forEach(cell => {
+            const mass = cell.size * this.rules.boostCost;
+            cell.size -= mass;
+
+            // Just out of the cell's reach, so it doesn't eat its own pellet
+            const distance = cell.size + foodSize * 2;
+            const pellet = {
+                x: Math.min(Math.max(cell.x - direction.x * distance, -mapWidth), mapWidth),
+                y: Math.min(Math.max(cell.y - direction.y * distance, -mapHeight), mapHeight),
+                mass: mass
+            };
+            this.addFood(pellet);
+            this.events.push({
+                type: 'food_spawned',
+                food: pellet
+            });
+        });
+        this.updateBounds(player);
+    }
+
+    // Advance the world by deltaTime seconds
+    // inputs is a Map (or plain object) of playerId -> {x, y, split, boost}
+    // holding the inputs received since the previous step. Returns the events
+    // produced.
+    step(inputs, deltaTime) {
+        this.events = [];
+
+        if (inputs) {
+            const entries = inputs instanceof Map ? inputs : Object.entries(inputs);
+            for (const [playerId, input] of entries) {
+                this.setInput(playerId, input);
+                if (input && input.split) {
+                    this.splitPlayer(playerId);
+                }
+                if (input && input.boost) {
+                    this.boostPlayer(playerId);
+                }
+            }
+        }
+
+        this.time += deltaTime;
+        this.updateEffects(deltaTime);
+        this.movePlayers(deltaTime);
+        this.checkFoodCollisions();
+        this.checkPowerUpCollisions();
+        this.checkPlayerCollisions();
+        this.players.forEach(player => this.updateBounds(player));
+        this.spawnPowerUps();
+
+        this.tick++;
+        return this.events;
+    }
+
+    // Move each cell according to its player's input and its launch speed
+    // Smaller cells are faster, so split cells outrun the player's bigger ones
+    movePlayers(deltaTime) {
+        const decay = Math.exp(-this.rules.splitDecay * deltaTime);
+
+        this.players.forEach(player => {
+            const direction = normalizeInput(player.input);
+            const moving = direction.x !== 0 || direction.y !== 0;
+            const split = player.cells.length > 1;
+            const boosting = this.time < player.boostUntil;
+            const speedMultiplier = getSpeedMultiplier(player.effects);
+            // Launch or knockback speed still moves a cell without input
+            const drifting = player.cells.some(cell => cell.vx !== 0 || cell.vy !== 0);
+            if (!moving && !split && !drifting) return;
+
+            player.cells.forEach(cell => {
+                const moveSpeed = getMoveSpeed(this.rules, cell.size, boosting) * speedMultiplier * deltaTime;
+                cell.x += direction.x * moveSpeed + cell.vx * deltaTime;
+                cell.y += direction.y * moveSpeed + cell.vy * deltaTime;
+                cell.vx *= decay;
+                cell.vy *= decay;
+                if (cell.vx * cell.vx + cell.vy * cell.vy < MIN_DRIFT_SPEED * MIN_DRIFT_SPEED) {
+                    cell.vx = 0;
+                    cell.vy = 0;
+                }
+
+                // Cells that may merge drift back to the center of mass
+                if (split && this.time >= cell.mergeAt) {
+                    const dx = player.x - cell.x;
+                    const dy = player.y - cell.y;
+                    const distance = Math.sqrt(dx * dx + dy * dy);
+                    const pull = Math.min(this.rules.mergeSpeed * deltaTime, distance);
+                    if (distance > 0) {
+                        cell.x += dx / distance * pull;
+                        cell.y += dy / distance * pull;
+                    }
+                }
+            });
+
+            this.applyBoundary(player);
+        });
+    }
+
+    // Smooth boundary collision with bounce effect
+    // Cells are kept inside the map, the player's input bounces once per step
+    applyBoundary(player) {
+        const boundaryForce = 0.8;
+        const boundaryDistance = 2;
+        const { mapWidth, mapHeight } = this.rules;
+        let bounceX = false;
+        let bounceY = false;
+
+        player.cells.forEach(cell => {
+            if (cell.x < -mapWidth + boundaryDistance) {
+                cell.x = Math.max(-mapWidth, cell.x);
+                bounceX = true;
+            } else if (cell.x > mapWidth - boundaryDistance) {
+                cell.x = Math.min(mapWidth, cell.x);
+                bounceX = true;
+            }
+
+            if (cell.y < -mapHeight + boundaryDistance) {
+                cell.y = Math.max(-mapHeight, cell.y);
+                bounceY = true;
+            } else if (cell.y > mapHeight - boundaryDistance) {
+                cell.y = Math.min(mapHeight, cell.y);
+                bounceY = true;
+            }
+        });
+
+        if (bounceX) player.input.x *= -boundaryForce; // Bounce
+        if (bounceY) player.input.y *= -boundaryForce; // Bounce
+    }
+
+    // Check for food collisions against nearby food from the grid
+    // A magnet effect lets cells eat food from further away.
+    checkFoodCollisions() {
+        this.players.forEach(player => {
+            const extraReach = getFoodReach(player.effects);
+            player.cells.forEach(cell => {
+                const reach = cell.size + this.rules.foodSize + extraReach;
+                const candidates = this.foodGrid.query(cell.x, cell.y, reach);
+
+                candidates.forEach(food => {
+                    const dx = cell.x - food.x;
+                    const dy = cell.y - food.y;
+
+                    // Check if the cell touches food
+                    if (dx * dx + dy * dy < reach * reach) {
+                        this.eatFood(player, cell, food);
+                    }
+                });
+            });
+        });
+    }
+
+    eatFood(player, cell, food) {
+        // Grow the cell that ate it, ejected pellets give back their mass
+        cell.size += food.mass || this.rules.growthRate;
+
+        this.events.push({
+            type: 'food_eaten',
+            food: food,
+            by: player.id
+        });
+
+        // Remove eaten food
+        this.removeFood(food);
+
+        // Add new food if less than threshold
+        if (this.foodItems.length < this.rules.foodCount * this.rules.respawnThreshold) {
+            for (let j = 0; j < this.rules.respawnAmount; j++) {
+                const newFood = this.randomFoodPosition();
+                this.addFood(newFood);
+
+                this.events.push({
+                    type: 'food_spawned',
+                    food: newFood
+                });
+            }
+        }
+    }
+
+    // Drop expired effects and run the active ones' update hooks
+    updateEffects(deltaTime) {
+        this.players.forEach(player => {
+            player.effects = player.effects.filter(effect => effect.endsAt > this.time);
+            player.effects.forEach(effect => {
+                const definition = POWER_UP_TYPES[effect.type];
+                if (definition.update) {
+                    definition.update(this, player, definition, deltaTime);
+                }
+            });
+        });
+    }
+
+    // Place a random power-up type every powerUpInterval seconds, up to maxPowerUps
+    spawnPowerUps() {
+        if (this.time < this.nextPowerUpAt) return;
+        this.nextPowerUpAt = this.time + this.rules.powerUpInterval;
+        if (this.powerUps.length >= this.rules.maxPowerUps) return;
+
+        const types = Object.keys(POWER_UP_TYPES);
+        const position = this.randomFoodPosition();
+        const powerUp = {
+            id: this.nextPowerUpId++,
+            type: types[Math.floor(this.random() * types.length)],
+            x: position.x,
+            y: position.y
+        };
+        addToSlots(this.powerUps, this.powerUpSlots, powerUp);
+        this.events.push({
+            type: 'power_up_spawned',
+            powerUp: powerUp
+        });
+    }
+
+    // Power-ups are few, so every cell is checked against each of them
+    checkPowerUpCollisions() {
+        this.powerUps.slice().forEach(powerUp => {
+            for (const player of this.players.values()) {
+                const collected = player.cells.some(cell => {
+                    const reach = cell.size + this.rules.powerUpSize;
+                    const dx = cell.x - powerUp.x;
+                    const dy = cell.y - powerUp.y;
+                    return dx * dx + dy * dy < reach * reach;
+                });
+                if (collected) {
+                    this.collectPowerUp(player, powerUp);
+                    return;
+                }
+            }
+        });
+    }
+
+    // Start the power-up's effect, collecting one already active restarts its timer
+    collectPowerUp(player, powerUp) {
+        removeFromSlots(this.powerUps, this.powerUpSlots, powerUp);
+
+        const endsAt = this.time + POWER_UP_TYPES[powerUp.type].duration;
+        const active = player.effects.find(effect => effect.type === powerUp.type);
+        if (active) {
+            active.endsAt = endsAt;
+        } else {
+            player.effects.push({ type: powerUp.type, endsAt: endsAt });
+        }
+
+        this.events.push({
+            type: 'power_up_collected',
+            powerUp: powerUp,
+            by: player.id
+        });
+    }
+
+    hasFood(food) {
+        return this.foodGrid.has(food);
+    }
+
+    // Food within radius of (x, y)
+    findFoodInRadius(x, y, radius) {
+        return this.foodGrid.query(x, y, radius).filter(food => {
+            const dx = food.x - x;
+            const dy = food.y - y;
+            return dx * dx + dy * dy <= radius * radius;
+        });
+    }
+
+    // Check for cell-cell collisions between grid neighbours
+    // Cells of different players absorb or bounce off each other, shielded
+    // players and teammates only bounce. Cells of the same player push apart
+    // until they may merge again. Each remaining cell then hits the obstacles
+    // and hazards around it.
+    checkPlayerCollisions() {
+        const cellList = []; // Entries of {player, cell}
+        const order = new Map(); // Maps entry -> index in cellList
+        const cellGrid = new SpatialGrid(this.rules.gridCellSize);
+        const removed = new Set(); // Cells absorbed or merged during this pass
+        let maxSize = 0;
+
+        this.players.forEach(player => {
+            player.cells.forEach(cell => {
+                const entry = { player, cell };
+                order.set(entry, cellList.length);
+                cellList.push(entry);
+                cellGrid.insert(entry, cell.x, cell.y);
+                maxSize = Math.max(maxSize, cell.size);
+            });
+        });
+
+        for (let i = 0; i < cellList.length; i++) {
+            const a = cellList[i];
+
+            // Each pair is handled once, from its lower index, in list order
+            const neighbours = cellGrid.query(a.cell.x, a.cell.y, a.cell.size + maxSize)
+                .filter(other => order.get(other) > i)
+                .sort((x, y) => order.get(x) - order.get(y));
+
+            for (const b of neighbours) {
+                // Skip cells removed earlier in this pass
+                if (removed.has(a.cell)) break;
+                if (removed.has(b.cell)) continue;
+
+                const dx = a.cell.x - b.cell.x;
+                const dy = a.cell.y - b.cell.y;
+                const distanceSquared = dx * dx + dy * dy;
+                const touchDistance = a.cell.size + b.cell.size;
+
+                // Check if cells touch
+                if (distanceSquared >= touchDistance * touchDistance) continue;
+                const distance = Math.sqrt(distanceSquared);
+
+                if (a.player === b.player) {
+                    if (this.time >= a.cell.mergeAt && this.time >= b.cell.mergeAt) {
+                        removed.add(this.mergeCells(a.player, a.cell, b.cell));
+                    } else {
+                        this.separateCells(a.cell, b.cell, dx, dy, distance, touchDistance);
+                    }
+                } else if (this.areTeammates(a.player, b.player)) {
+                    this.bounceCells(a.cell, b.cell, a.player.input, b.player.input, dx, dy, distance, touchDistance);
+                } else if (a.cell.size > b.cell.size * this.rules.absorptionThreshold &&
+                           !hasEffectHook(b.player.effects, 'shield')) {
+                    this.absorbCell(a.player, a.cell, b.player, b.cell);
+                    removed.add(b.cell);
+                } else if (b.cell.size > a.cell.size * this.rules.absorptionThreshold &&
+                           !hasEffectHook(a.player.effects, 'shield')) {
+                    this.absorbCell(b.player, b.cell, a.player, a.cell);
+                    removed.add(a.cell);
+                } else {
+                    this.bounceCells(a.cell, b.cell, a.player.input, b.player.input, dx, dy, distance, touchDistance);
+                }
+            }
+
+            if (!removed.has(a.cell)) {
+                this.checkMapCollisions(a.player, a.cell);
+            }
+        }
+    }
+
+    // Obstacles stop a cell, hazards hurt cells big enough
+    checkMapCollisions(player, cell) {
+        this.mapGrid.query(cell.x, cell.y, cell.size + this.mapReach).forEach(object => {
+            if (object.kind === 'spikes') {
+                const dx = cell.x - object.x;
+                const dy = cell.y - object.y;
+                const reach = cell.size + object.radius;
+                if (cell.size >= this.rules.hazardMinSize && dx * dx + dy * dy < reach * reach) {
+                    this.hitHazard(player, cell, object);
+                }
+                return;
+            }
+
+            // Stop the cell's launch speed going into the obstacle
+            const normal = resolveObstacleCollision(cell, object);
+            if (!normal) return;
+            const inward = cell.vx * normal.x + cell.vy * normal.y;
+            if (inward < 0) {
+                cell.vx -= inward * normal.x;
+                cell.vy -= inward * normal.y;
+            }
+        });
+    }
+
+    // Spikes split the cell, or shrink it when the player has no cells to
+    // spare, and throw it off the hazard so it isn't hit again next tick
+    hitHazard(player, cell, hazard) {
+        const direction = resolveObstacleCollision(cell, hazard);
+
+        if (player.cells.length < this.rules.maxCells) {
+            player.cells.push(this.splitCell(cell, direction));
+        } else {
+            cell.size *= 1 - this.rules.hazardShrink;
+        }
+        cell.vx = direction.x * this.rules.hazardKnockback;
+        cell.vy = direction.y * this.rules.hazardKnockback;
+    }
+
+    // Absorber cell takes half of the absorbed cell's size and some momentum
+    // A player is eaten once its last cell is gone
+    absorbCell(absorber, absorberCell, absorbed, absorbedCell) {
+        const massRatio = absorbedCell.size / absorberCell.size;
+        absorberCell.size += absorbedCell.size * 0.5;
+        absorber.input.x += absorbed.input.x * massRatio * 0.5;
+        absorber.input.y += absorbed.input.y * massRatio * 0.5;
+
+        absorbed.cells.splice(absorbed.cells.indexOf(absorbedCell), 1);
+        if (absorbed.cells.length > 0) {
+            this.updateBounds(absorbed);
+            return;
+        }
+
+        this.players.delete(absorbed.id);
+
+        this.events.push({
+            type: 'player_eaten',
+            eaten: absorbed.id,
+            by: absorber.id,
+            size: absorbedCell.size
+        });
+    }
+
+    // Join two cells of the same player, returns the cell that was removed
+    mergeCells(player, cellA, cellB) {
+        const [kept, merged] = cellA.size >= cellB.size ? [cellA, cellB] : [cellB, cellA];
+        kept.size += merged.size;
+        player.cells.splice(player.cells.indexOf(merged), 1);
+        return merged;
+    }
+
+    // Push two overlapping cells of the same player apart, bigger cells move less
+    separateCells(cellA, cellB, dx, dy, distance, touchDistance) {
+        const angle = distance > 0 ? Math.atan2(dy, dx) : this.random() * 2 * Math.PI;
+        const overlap = touchDistance - distance;
+        const totalMass = cellA.size + cellB.size;
+
+        cellA.x += Math.cos(angle) * overlap * (cellB.size / totalMass);
+        cellA.y += Math.sin(angle) * overlap * (cellB.size / totalMass);
+        cellB.x -= Math.cos(angle) * overlap * (cellA.size / totalMass);
+        cellB.y -= Math.sin(angle) * overlap * (cellA.size / totalMass);
+    }
+
+    // Elastic collision with size-based momentum
+    // Cells move apart, the momentum is exchanged between the players' inputs
+    bounceCells(cellA, cellB, inputA, inputB, dx, dy, distance, touchDistance) {
+        const angle = Math.atan2(dy, dx);
+        const overlap = touchDistance - distance;
+
+        // Mass-like properties based on size
+        const totalMass = cellA.size + cellB.size;
+        const massRatioA = cellA.size / totalMass;
+        const massRatioB = cellB.size / totalMass;
+
+        // Separation to prevent sticking
+        const separation = overlap * 0.5;
+        const separationX = Math.cos(angle) * separation;
+        const separationY = Math.sin(angle) * separation;
+
+        cellA.x += separationX * massRatioB;
+        cellA.y += separationY * massRatioB;
+        cellB.x -= separationX * massRatioA;
+        cellB.y -= separationY * massRatioA;
+
+        // Exchange momentum
+        const tempX = inputA.x;
+        const tempY = inputA.y;
+
+        inputA.x = (inputA.x * (massRatioA - massRatioB) +
+                   2 * massRatioB * inputB.x) * 0.8;
+        inputA.y = (inputA.y * (massRatioA - massRatioB) +
+                   2 * massRatioB * inputB.y) * 0.8;
+
+        inputB.x = (inputB.x * (massRatioB - massRatioA) +
+                   2 * massRatioA * tempX) * 0.8;
+        inputB.y = (inputB.y * (massRatioB - massRatioA) +
+                   2 * massRatioA * tempY) * 0.8;
+    }
+
+    // Plain-data view of the players for broadcasting
+    // cells is only filled for split players, a single cell is the player itself
+    getPlayerStates() {
+        return Array.from(this.players.values()).map(player => ({
+            id: player.id,
+            x: player.x,
+            y: player.y,
+            size: player.size,
+            boosting: this.time < player.boostUntil,
+            // Remaining time in ms, rounded up to a tenth of a second so
+            // delta snapshots only change ten times a second
+            effects: player.effects.map(effect => ({
+                type: effect.type,
+                remaining: Math.ceil((effect.endsAt - this.time) * 10) * 100
+            })),
+            cells: player.cells.length > 1 ? player.cells.map(cell => ({
+                x: cell.x,
+                y: cell.y,
+                size: cell.size
+            })) : []
+        }));
+    }
+}
+
+module.exports = {
+    DEFAULT_RULES,
+    Simulation,
+    createRng,
+    getMoveSpeed,
+    resolveObstacleCollision,
+    normalizeInput
+};
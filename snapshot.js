@@ -0,0 +1,109 @@
+// Snapshot delta compression shared by server.js and game.js
+// The server quantizes player states to integers and only sends the players
+// that changed since the last snapshot the client acknowledged (the baseline).
+// The client rebuilds the full snapshot from its copy of that baseline.
+
+// Positions and sizes are sent as integers in 1/POSITION_PRECISION units
+const POSITION_PRECISION = 100;
+
+// Max snapshots kept per client (server) or received (client) as baselines
+const SNAPSHOT_HISTORY = 64;
+
+// Fields quantized to POSITION_PRECISION, any other field is sent as is
+// The same fields of a split player's cells are quantized too.
+const QUANTIZED_FIELDS = ['x', 'y', 'size'];
+
+function quantize(value) {
+    return Math.round(value * POSITION_PRECISION);
+}
+
+function dequantize(value) {
+    return value / POSITION_PRECISION;
+}
+
+// Copy of a state with convert applied to its quantized fields
+function convertState(state, convert) {
+    const entry = { ...state };
+    QUANTIZED_FIELDS.forEach(field => {
+        if (typeof entry[field] === 'number') {
+            entry[field] = convert(entry[field]);
+        }
+    });
+    if (Array.isArray(entry.cells)) {
+        entry.cells = entry.cells.map(cell => convertState(cell, convert));
+    }
+    return entry;
+}
+
+// Quantize a list of player states into a Map of playerId -> state
+function quantizePlayers(playerStates) {
+    const quantized = new Map();
+    playerStates.forEach(state => {
+        quantized.set(state.id, convertState(state, quantize));
+    });
+    return quantized;
+}
+
+// Convert a quantized player state back to world units
+function dequantizePlayer(state) {
+    return convertState(state, dequantize);
+}
+
+function valuesEqual(a, b) {
+    if (Array.isArray(a)) {
+        return Array.isArray(b) && a.length === b.length && a.every((item, index) => valuesEqual(item, b[index]));
+    }
+    if (a !== null && typeof a === 'object') {
+        return b !== null && typeof b === 'object' && statesEqual(a, b);
+    }
+    return a === b;
+}
+
+function statesEqual(a, b) {
+    const keys = Object.keys(a);
+    if (keys.length !== Object.keys(b).length) return false;
+    return keys.every(key => valuesEqual(a[key], b[key]));
+}
+
+// Players that changed or appeared since the baseline, and ids that left
+// With no baseline every player is included (full snapshot)
+function diffSnapshot(baseline, current) {
+    const players = [];
+    const removed = [];
+
+    current.forEach((state, id) => {
+        const previous = baseline ? baseline.get(id) : null;
+        if (!previous || !statesEqual(previous, state)) {
+            players.push(state);
+        }
+    });
+
+    if (baseline) {
+        baseline.forEach((state, id) => {
+            if (!current.has(id)) {
+                removed.push(id);
+            }
+        });
+    }
+
+    return { players, removed };
+}
+
+// Rebuild the full quantized snapshot from a baseline and a delta
+function applySnapshotDelta(baseline, delta) {
+    const snapshot = new Map(baseline || []);
+    (delta.removed || []).forEach(id => snapshot.delete(id));
+    delta.players.forEach(state => snapshot.set(state.id, state));
+    return snapshot;
+}
+
+module.exports = {
+    POSITION_PRECISION,
+    SNAPSHOT_HISTORY,
+    quantize,
+    dequantize,
+    quantizePlayers,
+    dequantizePlayer,
+    diffSnapshot,
+    applySnapshotDelta
+};
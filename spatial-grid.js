@@ -0,0 +1,86 @@
+// Uniform grid spatial index
+// Items are bucketed by the cell containing their center point. query()
+// returns every item whose cell overlaps the square around a circle, so
+// callers still do the exact distance check on the candidates.
+
+// Cell coordinates are packed into one number, valid for |cell| < 32768
+const CELL_OFFSET = 0x8000;
+const CELL_STRIDE = 0x10000;
+
+class SpatialGrid {
+    constructor(cellSize) {
+        this.cellSize = cellSize;
+        this.cells = new Map(); // Maps cell key -> array of items
+        this.itemCells = new Map(); // Maps item -> cell key
+    }
+
+    cellCoord(value) {
+        return Math.floor(value / this.cellSize);
+    }
+
+    cellKey(cellX, cellY) {
+        return (cellX + CELL_OFFSET) * CELL_STRIDE + (cellY + CELL_OFFSET);
+    }
+
+    insert(item, x, y) {
+        const key = this.cellKey(this.cellCoord(x), this.cellCoord(y));
+        let cell = this.cells.get(key);
+        if (!cell) {
+            cell = [];
+            this.cells.set(key, cell);
+        }
+        cell.push(item);
+        this.itemCells.set(item, key);
+    }
+
+    remove(item) {
+        const key = this.itemCells.get(item);
+        if (key === undefined) return false;
+
+        const cell = this.cells.get(key);
+        const index = cell.indexOf(item);
+        cell[index] = cell[cell.length - 1];
+        cell.pop();
+        if (cell.length === 0) {
+            this.cells.delete(key);
+        }
+        this.itemCells.delete(item);
+        return true;
+    }
+
+    has(item) {
+        return this.itemCells.has(item);
+    }
+
+    clear() {
+        this.cells.clear();
+        this.itemCells.clear();
+    }
+
+    get size() {
+        return this.itemCells.size;
+    }
+
+    // Candidate items around the circle at (x, y) with the given radius
+    query(x, y, radius) {
+        const results = [];
+        const minX = this.cellCoord(x - radius);
+        const maxX = this.cellCoord(x + radius);
+        const minY = this.cellCoord(y - radius);
+        const maxY = this.cellCoord(y + radius);
+
+        for (let cellX = minX; cellX <= maxX; cellX++) {
+            for (let cellY = minY; cellY <= maxY; cellY++) {
+                const cell = this.cells.get(this.cellKey(cellX, cellY));
+                if (cell) {
+                    for (let i = 0; i < cell.length; i++) {
+                        results.push(cell[i]);
+                    }
+                }
+            }
+        }
+        return results;
+    }
+}
+
+module.exports = { SpatialGrid };
@@ -0,0 +1,79 @@
+// Wire protocol tests
+// Every message must decode to what was encoded, in both subprotocols.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { PROTOCOLS, encodeMessage, decodeMessage, selectProtocol } = require('../protocol');
+
+function roundTrip(message) {
+    return decodeMessage(encodeMessage(message, PROTOCOLS.BINARY), true);
+}
+
+test('game_update round trips through its binary layout', () => {
+    const message = {
+        type: 'game_update',
+        time: 1712345678901.5,
+        snapshot: 42,
+        baseline: 40,
+        players: [
+            {
+                id: 'player-1',
+                x: -1234,
+                y: 567,
+                size: 150,
+                seq: 7,
+                boosting: true,
+                effects: [{ type: 'shield', remaining: 4100 }],
+                cells: [{ x: -1300, y: 560, size: 75 }, { x: -1168, y: 574, size: 75 }]
+            },
+            { id: 'player-2', x: 0, y: 0, size: 100, seq: 0, boosting: false, effects: [], cells: [] }
+        ],
+        removed: ['player-3']
+    };
+
+    assert.deepEqual(roundTrip(message), message);
+    assert.equal(roundTrip({ ...message, baseline: null }).baseline, null);
+});
+
+test('player_input round trips with optional fields', () => {
+    const message = {
+        type: 'player_input',
+        lobbyId: 'ABC123',
+        input: { x: 0.5, y: -0.25, down: true, split: false },
+        seq: 12
+    };
+
+    assert.deepEqual(roundTrip(message), message);
+    assert.deepEqual(roundTrip({ ...message, lobbyId: null, seq: null }), { ...message, lobbyId: null, seq: null });
+});
+
+test('snapshot_ack round trips', () => {
+    assert.deepEqual(roundTrip({ type: 'snapshot_ack', snapshot: 0xFFFFFFFF }), { type: 'snapshot_ack', snapshot: 0xFFFFFFFF });
+});
+
+test('messages without a layout are carried as JSON in binary frames', () => {
+    const message = { type: 'chat', name: 'Zoë', text: 'héllo 👋', color: 0xff0000 };
+    const encoded = encodeMessage(message, PROTOCOLS.BINARY);
+
+    assert.equal(typeof encoded, 'object');
+    assert.deepEqual(decodeMessage(encoded, true), message);
+});
+
+test('the JSON subprotocol sends plain text', () => {
+    const message = { type: 'snapshot_ack', snapshot: 3 };
+    const encoded = encodeMessage(message, PROTOCOLS.JSON);
+
+    assert.equal(encoded, JSON.stringify(message));
+    assert.deepEqual(decodeMessage(encoded, false), message);
+    assert.deepEqual(decodeMessage(Buffer.from(encoded), false), message);
+});
+
+test('unknown binary message codes are rejected', () => {
+    assert.throws(() => decodeMessage(new Uint8Array([99]), true), TypeError);
+});
+
+test('binary is preferred when both subprotocols are offered', () => {
+    assert.equal(selectProtocol(new Set([PROTOCOLS.JSON, PROTOCOLS.BINARY])), PROTOCOLS.BINARY);
+    assert.equal(selectProtocol(new Set([PROTOCOLS.JSON])), PROTOCOLS.JSON);
+    assert.equal(selectProtocol(new Set(['other'])), false);
+});
@@ -0,0 +1,226 @@
+// Simulation step tests
+// Each test builds a small world by hand so only the rule under test acts:
+// no random food, power-ups or map objects.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Simulation } = require('../simulation');
+
+const DELTA_TIME = 1 / 60;
+
+function createSimulation(rules = {}) {
+    return new Simulation({ seed: 1, rules: { foodCount: 0, maxPowerUps: 0, ...rules } });
+}
+
+// Give a player a single cell of the given size
+function setSize(simulation, player, size) {
+    player.cells[0].size = size;
+    simulation.updateBounds(player);
+}
+
+// Step until done() holds, up to maxSeconds of simulated time
+function stepUntil(simulation, done, maxSeconds) {
+    for (let time = 0; time < maxSeconds && !done(); time += DELTA_TIME) {
+        simulation.step(null, DELTA_TIME);
+    }
+    return done();
+}
+
+// Put spikes on the map without the random placement of generateMap()
+function addHazard(simulation, x, y) {
+    const hazard = { kind: 'spikes', x, y, radius: simulation.rules.hazardRadius };
+    simulation.hazards.push(hazard);
+    simulation.mapGrid.insert(hazard, x, y);
+    simulation.mapReach = Math.max(simulation.mapReach, hazard.radius);
+    return hazard;
+}
+
+test('the same seed generates the same food', () => {
+    const a = new Simulation({ seed: 7 });
+    const b = new Simulation({ seed: 7 });
+    const other = new Simulation({ seed: 8 });
+    [a, b, other].forEach(simulation => simulation.generateFood());
+
+    assert.deepEqual(a.foodItems, b.foodItems);
+    assert.notDeepEqual(a.foodItems, other.foodItems);
+});
+
+test('a cell touching food eats it and grows', () => {
+    const simulation = createSimulation();
+    const player = simulation.addPlayer('a', 0, 0);
+    const food = { x: 1, y: 0 };
+    simulation.addFood(food);
+    simulation.addFood({ x: 10, y: 10 });
+
+    const events = simulation.step(null, DELTA_TIME);
+
+    assert.equal(player.size, 1 + simulation.rules.growthRate);
+    assert.equal(simulation.hasFood(food), false);
+    assert.deepEqual(simulation.foodItems, [{ x: 10, y: 10 }]);
+    assert.deepEqual(events, [{ type: 'food_eaten', food: food, by: 'a' }]);
+});
+
+test('eating food below the respawn threshold spawns more', () => {
+    const simulation = createSimulation({ foodCount: 10, respawnThreshold: 0.5, respawnAmount: 3 });
+    simulation.addPlayer('a', 0, 0);
+    simulation.addFood({ x: 0.5, y: 0 });
+
+    const events = simulation.step(null, DELTA_TIME);
+
+    assert.equal(simulation.foodItems.length, 3);
+    assert.equal(events.filter(event => event.type === 'food_spawned').length, 3);
+});
+
+test('a bigger cell absorbs a smaller player', () => {
+    const simulation = createSimulation();
+    const big = simulation.addPlayer('big', 0, 0);
+    simulation.addPlayer('small', 1.5, 0);
+    setSize(simulation, big, 2);
+
+    const events = simulation.step(null, DELTA_TIME);
+
+    assert.equal(simulation.getPlayer('small'), null);
+    assert.equal(big.size, 2.5);
+    assert.deepEqual(events, [{ type: 'player_eaten', eaten: 'small', by: 'big', size: 1 }]);
+});
+
+test('similar sizes bounce instead of absorbing', () => {
+    const simulation = createSimulation();
+    simulation.addPlayer('a', 0, 0);
+    simulation.addPlayer('b', 1.5, 0);
+
+    simulation.step(null, DELTA_TIME);
+
+    assert.equal(simulation.players.size, 2);
+});
+
+test('removed food leaves the rest of the food in place', () => {
+    const simulation = createSimulation();
+    const food = [0, 1, 2, 3].map(i => ({ x: i, y: 0 }));
+    food.forEach(item => simulation.addFood(item));
+
+    simulation.removeFood(food[1]);
+    simulation.removeFood(food[1]);
+    simulation.removeFood(food[3]);
+
+    assert.deepEqual(simulation.foodItems.slice().sort((a, b) => a.x - b.x), [food[0], food[2]]);
+    assert.equal(simulation.hasFood(food[1]), false);
+    assert.equal(simulation.hasFood(food[2]), true);
+});
+
+test('splitting halves cells and launches them, they merge after the delay', () => {
+    const simulation = createSimulation({ mergeDelay: 1 });
+    const player = simulation.addPlayer('a', 0, 0);
+    setSize(simulation, player, 4);
+
+    simulation.step({ a: { x: 1, y: 0, split: true } }, DELTA_TIME);
+
+    assert.equal(player.cells.length, 2);
+    assert.deepEqual(player.cells.map(cell => cell.size), [2, 2]);
+    assert.ok(player.cells[1].vx > 0);
+
+    simulation.step({ a: { x: 0, y: 0 } }, DELTA_TIME);
+    assert.equal(stepUntil(simulation, () => player.cells.length === 1, 0.5), false);
+    assert.equal(stepUntil(simulation, () => player.cells.length === 1, 10), true);
+    assert.ok(Math.abs(player.size - 4) < 1e-9);
+});
+
+test('small cells and full players do not split', () => {
+    const simulation = createSimulation({ maxCells: 2 });
+    const small = simulation.addPlayer('small', -10, 0);
+    const big = simulation.addPlayer('big', 10, 0);
+    setSize(simulation, big, 8);
+
+    simulation.step({ small: { x: 1, y: 0, split: true }, big: { x: 1, y: 0, split: true } }, DELTA_TIME);
+    simulation.step({ big: { x: 1, y: 0, split: true } }, DELTA_TIME);
+
+    assert.equal(small.cells.length, 1);
+    assert.equal(big.cells.length, 2);
+});
+
+test('the same seed generates the same map', () => {
+    const a = new Simulation({ seed: 7 });
+    const b = new Simulation({ seed: 7 });
+    a.generateMap();
+    b.generateMap();
+
+    assert.ok(a.obstacles.length > 0);
+    assert.deepEqual(a.obstacles, b.obstacles);
+    assert.deepEqual(a.hazards, b.hazards);
+});
+
+test('spikes split a big cell and knock it away', () => {
+    const simulation = createSimulation();
+    const player = simulation.addPlayer('a', 0, 0);
+    setSize(simulation, player, 3);
+    addHazard(simulation, 1.5, 0);
+
+    simulation.step(null, DELTA_TIME);
+
+    assert.equal(player.cells.length, 2);
+    assert.ok(player.cells[0].vx < 0);
+    assert.ok(Math.abs(player.size - 3) < 1e-9);
+});
+
+test('spikes shrink a player with no cells to spare', () => {
+    const simulation = createSimulation({ maxCells: 1 });
+    const player = simulation.addPlayer('a', 0, 0);
+    setSize(simulation, player, 3);
+    addHazard(simulation, 1.5, 0);
+
+    simulation.step(null, DELTA_TIME);
+
+    const shrunk = 3 * (1 - simulation.rules.hazardShrink);
+    assert.equal(player.cells.length, 1);
+    assert.ok(Math.abs(player.size - shrunk) < 1e-9);
+    assert.ok(player.cells[0].vx < 0);
+
+    // Knocked off the spike without input, and hit only once
+    for (let i = 0; i < 120; i++) {
+        simulation.step(null, DELTA_TIME);
+    }
+    const cell = player.cells[0];
+    assert.ok(1.5 - cell.x > cell.size + simulation.rules.hazardRadius);
+    assert.ok(Math.abs(player.size - shrunk) < 1e-9);
+    assert.equal(cell.vx, 0);
+});
+
+test('cells below the hazard size pass over spikes', () => {
+    const simulation = createSimulation();
+    const player = simulation.addPlayer('a', 0, 0);
+    addHazard(simulation, 0.5, 0);
+
+    simulation.step(null, DELTA_TIME);
+
+    assert.equal(player.cells.length, 1);
+    assert.equal(player.size, 1);
+});
+
+test('teammates never absorb each other', () => {
+    const simulation = createSimulation();
+    const big = simulation.addPlayer('big', 0, 0);
+    simulation.addPlayer('small', 1.5, 0);
+    setSize(simulation, big, 2);
+    simulation.setPlayerTeam('big', 0);
+    simulation.setPlayerTeam('small', 0);
+
+    simulation.step(null, DELTA_TIME);
+
+    assert.equal(simulation.players.size, 2);
+    assert.deepEqual(simulation.getRemainingTeams(), new Set([0]));
+});
+
+test('opposing teams absorb and the round is left to one team', () => {
+    const simulation = createSimulation();
+    const big = simulation.addPlayer('big', 0, 0);
+    simulation.addPlayer('small', 1.5, 0);
+    setSize(simulation, big, 2);
+    simulation.setPlayerTeam('big', 0);
+    simulation.setPlayerTeam('small', 1);
+    assert.deepEqual(simulation.getRemainingTeams(), new Set([0, 1]));
+
+    simulation.step(null, DELTA_TIME);
+
+    assert.equal(simulation.getPlayer('small'), null);
+    assert.deepEqual(simulation.getRemainingTeams(), new Set([0]));
+});
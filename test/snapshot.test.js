@@ -0,0 +1,74 @@
+// Snapshot delta compression tests
+// A delta diffed against a baseline must rebuild the exact current snapshot.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    POSITION_PRECISION,
+    quantizePlayers,
+    dequantizePlayer,
+    diffSnapshot,
+    applySnapshotDelta
+} = require('../snapshot');
+
+function playerState(id, x, y, size, extra = {}) {
+    return { id, x, y, size, seq: 0, boosting: false, effects: [], cells: [], ...extra };
+}
+
+test('a full snapshot rebuilds without a baseline', () => {
+    const current = quantizePlayers([playerState('a', 1, 2, 1), playerState('b', -3.5, 4.25, 2)]);
+    const delta = diffSnapshot(null, current);
+
+    assert.equal(delta.players.length, 2);
+    assert.deepEqual(delta.removed, []);
+    assert.deepEqual(applySnapshotDelta(null, delta), current);
+});
+
+test('a delta only carries changed, new and removed players', () => {
+    const baseline = quantizePlayers([
+        playerState('same', 1, 1, 1),
+        playerState('moved', 2, 2, 1),
+        playerState('gone', 3, 3, 1)
+    ]);
+    const current = quantizePlayers([
+        playerState('same', 1, 1, 1),
+        playerState('moved', 2.5, 2, 1),
+        playerState('new', 4, 4, 1)
+    ]);
+    const delta = diffSnapshot(baseline, current);
+
+    assert.deepEqual(delta.players.map(state => state.id).sort(), ['moved', 'new']);
+    assert.deepEqual(delta.removed, ['gone']);
+    assert.deepEqual(applySnapshotDelta(baseline, delta), current);
+});
+
+test('changes inside cells and effects are detected', () => {
+    const cells = [{ x: 1, y: 1, size: 1 }, { x: 2, y: 2, size: 1 }];
+    const baseline = quantizePlayers([playerState('a', 1.5, 1.5, 2, { cells })]);
+    const moved = quantizePlayers([playerState('a', 1.5, 1.5, 2, { cells: [cells[0], { x: 2, y: 3, size: 1 }] })]);
+    const boosted = quantizePlayers([playerState('a', 1.5, 1.5, 2, { cells, effects: [{ type: 'speed', remaining: 500 }] })]);
+
+    assert.equal(diffSnapshot(baseline, quantizePlayers([playerState('a', 1.5, 1.5, 2, { cells })])).players.length, 0);
+    assert.deepEqual(applySnapshotDelta(baseline, diffSnapshot(baseline, moved)), moved);
+    assert.deepEqual(applySnapshotDelta(baseline, diffSnapshot(baseline, boosted)), boosted);
+});
+
+test('applying a delta leaves the baseline untouched', () => {
+    const baseline = quantizePlayers([playerState('a', 1, 1, 1)]);
+    const copy = new Map(baseline);
+    applySnapshotDelta(baseline, { players: [playerState('b', 0, 0, 1)], removed: ['a'] });
+
+    assert.deepEqual(baseline, copy);
+});
+
+test('quantizing keeps positions within the precision', () => {
+    const state = playerState('a', 1.23456, -7.891, 1.5, { cells: [{ x: 0.004, y: -0.006, size: 0.75 }] });
+    const restored = dequantizePlayer(quantizePlayers([state]).get('a'));
+    const tolerance = 0.5 / POSITION_PRECISION;
+
+    assert.ok(Math.abs(restored.x - state.x) <= tolerance);
+    assert.ok(Math.abs(restored.y - state.y) <= tolerance);
+    assert.equal(restored.size, 1.5);
+    assert.ok(Math.abs(restored.cells[0].x - 0.004) <= tolerance);
+    assert.equal(restored.cells[0].size, 0.75);
+});
@@ -0,0 +1,55 @@
+// Client message validation tests
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ERROR_CODES, MAX_NAME_LENGTH, validateMessage, validateSettingChanges } = require('../validation');
+const { LOBBY_SETTINGS } = require('../lobby-settings');
+
+test('well-formed messages pass', () => {
+    assert.equal(validateMessage({ type: 'join_lobby', lobbyId: 'ABC123', name: 'Ann' }), null);
+    assert.equal(validateMessage({ type: 'player_input', lobbyId: 'ABC123', input: { x: 0.5, y: -1, down: true } }), null);
+    assert.equal(validateMessage({ type: 'toggle_ready', extra: 'ignored' }), null);
+});
+
+test('malformed and unknown messages are rejected', () => {
+    assert.equal(validateMessage(null).code, ERROR_CODES.MALFORMED_MESSAGE);
+    assert.equal(validateMessage({ lobbyId: 'ABC123' }).code, ERROR_CODES.MALFORMED_MESSAGE);
+    assert.equal(validateMessage({ type: 'not_a_message' }).code, ERROR_CODES.UNKNOWN_MESSAGE_TYPE);
+});
+
+test('field types, lengths and formats are checked', () => {
+    const invalid = [
+        { type: 'join_lobby' },
+        { type: 'join_lobby', lobbyId: 'abc' },
+        { type: 'join_lobby', lobbyId: 'ABC', name: 'x'.repeat(MAX_NAME_LENGTH + 1) },
+        { type: 'player_input', lobbyId: 'ABC', input: { x: Infinity, y: 0 } },
+        { type: 'player_input', lobbyId: 'ABC', input: { x: 0, y: 0, split: 'yes' } },
+        { type: 'player_input', lobbyId: 'ABC', input: [0, 0] },
+        { type: 'snapshot_ack', snapshot: 1.5 },
+        { type: 'chat', text: '' },
+        { type: 'set_player_team', playerId: 'p', team: -1 }
+    ];
+
+    invalid.forEach(message => {
+        const error = validateMessage(message);
+        assert.ok(error, `${JSON.stringify(message)} should be rejected`);
+        assert.equal(error.code, ERROR_CODES.INVALID_FIELD);
+    });
+});
+
+test('the settings schema only checks types', () => {
+    assert.equal(validateMessage({ type: 'update_lobby_settings', settings: { mapWidth: 1000, mode: 'unknown' } }), null);
+    assert.equal(validateMessage({ type: 'update_lobby_settings', settings: { mapWidth: 'wide' } }).code, ERROR_CODES.INVALID_FIELD);
+    assert.equal(validateMessage({ type: 'update_lobby_settings', settings: { tickRate: 30.5 } }).code, ERROR_CODES.INVALID_FIELD);
+    assert.equal(validateMessage({ type: 'update_lobby_settings' }).code, ERROR_CODES.INVALID_FIELD);
+});
+
+test('setting changes are checked against their bounds and options', () => {
+    const { mapWidth } = LOBBY_SETTINGS;
+
+    assert.equal(validateSettingChanges({}), null);
+    assert.equal(validateSettingChanges({ mapWidth: mapWidth.min, mode: 'teams' }), null);
+    assert.match(validateSettingChanges({ mapWidth: mapWidth.max + 1 }), /mapWidth/);
+    assert.match(validateSettingChanges({ mapWidth: mapWidth.min - 1 }), /mapWidth/);
+    assert.match(validateSettingChanges({ mode: 'unknown' }), /mode/);
+});
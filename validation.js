@@ -0,0 +1,193 @@
+// Client message validation
+// Every message a client may send is described by a declarative schema in
+// CLIENT_MESSAGE_SCHEMAS. validateMessage() checks a decoded message against
+// it before the server acts on it, so handlers can trust field types.
+
+const { LOBBY_SETTINGS, TEAMS } = require('./lobby-settings');
+
+// Error codes sent in {type: 'error', code, message}
+const ERROR_CODES = {
+    MALFORMED_MESSAGE: 'malformed_message',
+    UNKNOWN_MESSAGE_TYPE: 'unknown_message_type',
+    INVALID_FIELD: 'invalid_field',
+    RATE_LIMITED: 'rate_limited',
+    NOT_IN_LOBBY: 'not_in_lobby',
+    ALREADY_IN_LOBBY: 'already_in_lobby',
+    LOBBY_NOT_FOUND: 'lobby_not_found',
+    LOBBY_FULL: 'lobby_full',
+    LOBBY_LOCKED: 'lobby_locked',
+    TOO_MANY_LOBBIES: 'too_many_lobbies',
+    PASSWORD_REQUIRED: 'password_required',
+    WRONG_PASSWORD: 'wrong_password',
+    SPECTATORS_FULL: 'spectators_full',
+    NOT_HOST: 'not_host',
+    NOT_ENOUGH_PLAYERS: 'not_enough_players',
+    GAME_IN_PROGRESS: 'game_in_progress',
+    SERVER_FULL: 'server_full',
+    INTERNAL_ERROR: 'internal_error'
+};
+
+const MAX_NAME_LENGTH = 20;
+const MAX_CHAT_LENGTH = 200;
+const MAX_PASSWORD_LENGTH = 32;
+const LOBBY_CODE = { type: 'string', minLength: 1, maxLength: 16, pattern: /^[A-Z0-9]+$/ };
+const PLAYER_ID = { type: 'string', minLength: 1, maxLength: 64 };
+const PASSWORD = { type: 'string', maxLength: MAX_PASSWORD_LENGTH, optional: true };
+
+// Every lobby setting is optional in an update. The schema only checks
+// types, the bounds and options are checked by validateSettingChanges()
+// when the host applies them.
+const SETTING_FIELDS = {};
+const SETTING_BOUNDS = {};
+Object.entries(LOBBY_SETTINGS).forEach(([key, rule]) => {
+    SETTING_FIELDS[key] = { type: rule.type, optional: true };
+    SETTING_BOUNDS[key] = { ...rule, optional: true };
+});
+
+// Field rules: type ('string', 'number', 'integer', 'boolean', 'object'),
+// optional (undefined or null allowed), min/max for numbers,
+// minLength/maxLength/pattern/options for strings, fields for objects.
+// Fields not listed are ignored.
+const CLIENT_MESSAGE_SCHEMAS = {
+    create_lobby: {
+        isPrivate: { type: 'boolean', optional: true },
+        password: PASSWORD
+    },
+    join_lobby: {
+        lobbyId: LOBBY_CODE,
+        name: { type: 'string', maxLength: MAX_NAME_LENGTH, optional: true },
+        password: PASSWORD
+    },
+    toggle_ready: {},
+    player_input: {
+        lobbyId: LOBBY_CODE,
+        input: {
+            type: 'object',
+            fields: {
+                x: { type: 'number', min: -1000, max: 1000 },
+                y: { type: 'number', min: -1000, max: 1000 },
+                down: { type: 'boolean', optional: true },
+                split: { type: 'boolean', optional: true }
+            }
+        },
+        seq: { type: 'integer', min: 0, max: 0xFFFFFFFF, optional: true }
+    },
+    snapshot_ack: {
+        snapshot: { type: 'integer', min: 0, max: 0xFFFFFFFF }
+    },
+    resume_session: {
+        token: { type: 'string', minLength: 1, maxLength: 64 }
+    },
+    list_lobbies: {
+        watch: { type: 'boolean', optional: true }
+    },
+    quick_play: {
+        name: { type: 'string', maxLength: MAX_NAME_LENGTH, optional: true }
+    },
+    leave_queue: {},
+    kick_player: {
+        playerId: PLAYER_ID
+    },
+    set_lobby_locked: {
+        locked: { type: 'boolean' }
+    },
+    transfer_host: {
+        playerId: PLAYER_ID
+    },
+    force_start: {},
+    set_player_team: {
+        playerId: PLAYER_ID,
+        team: { type: 'integer', min: 0, max: TEAMS.length - 1 }
+    },
+    balance_teams: {},
+    leave_lobby: {},
+    spectate_lobby: {
+        lobbyId: LOBBY_CODE,
+        name: { type: 'string', maxLength: MAX_NAME_LENGTH, optional: true },
+        password: PASSWORD
+    },
+    spectate_target: {
+        playerId: PLAYER_ID
+    },
+    chat: {
+        text: { type: 'string', minLength: 1, maxLength: MAX_CHAT_LENGTH }
+    },
+    mute_player: {
+        playerId: PLAYER_ID,
+        muted: { type: 'boolean' }
+    },
+    update_lobby_settings: {
+        settings: { type: 'object', fields: SETTING_FIELDS }
+    }
+};
+
+// Returns an error string for the value, or null when it matches the rule
+function checkField(name, value, rule) {
+    if (value === undefined || value === null) {
+        return rule.optional ? null : `${name} is required`;
+    }
+
+    switch (rule.type) {
+        case 'string':
+            if (typeof value !== 'string') return `${name} must be a string`;
+            if (rule.minLength !== undefined && value.length < rule.minLength) return `${name} is too short`;
+            if (rule.maxLength !== undefined && value.length > rule.maxLength) return `${name} is too long`;
+            if (rule.pattern && !rule.pattern.test(value)) return `${name} has an invalid format`;
+            if (rule.options && !rule.options.includes(value)) return `${name} is not a valid option`;
+            return null;
+        case 'number':
+        case 'integer':
+            if (typeof value !== 'number' || !Number.isFinite(value)) return `${name} must be a finite number`;
+            if (rule.type === 'integer' && !Number.isInteger(value)) return `${name} must be an integer`;
+            if (rule.min !== undefined && value < rule.min) return `${name} is out of range`;
+            if (rule.max !== undefined && value > rule.max) return `${name} is out of range`;
+            return null;
+        case 'boolean':
+            return typeof value === 'boolean' ? null : `${name} must be a boolean`;
+        case 'object':
+            if (typeof value !== 'object' || Array.isArray(value)) return `${name} must be an object`;
+            return checkFields(value, rule.fields || {}, `${name}.`);
+        default:
+            return `${name} has an unknown rule type`;
+    }
+}
+
+function checkFields(object, fields, prefix = '') {
+    for (const [field, rule] of Object.entries(fields)) {
+        const error = checkField(prefix + field, object[field], rule);
+        if (error) return error;
+    }
+    return null;
+}
+
+// Validate a decoded client message
+// Returns null when valid, otherwise {code, message}
+function validateMessage(message) {
+    if (!message || typeof message !== 'object' || typeof message.type !== 'string') {
+        return { code: ERROR_CODES.MALFORMED_MESSAGE, message: 'Invalid message format' };
+    }
+
+    const schema = CLIENT_MESSAGE_SCHEMAS[message.type];
+    if (!schema) {
+        return { code: ERROR_CODES.UNKNOWN_MESSAGE_TYPE, message: 'Unknown message type' };
+    }
+
+    const error = checkFields(message, schema);
+    return error ? { code: ERROR_CODES.INVALID_FIELD, message: error } : null;
+}
+
+// Check lobby setting changes against the LOBBY_SETTINGS bounds and options
+// Returns an error string, or null when every given value is allowed
+function validateSettingChanges(changes) {
+    return checkFields(changes, SETTING_BOUNDS);
+}
+
+module.exports = {
+    ERROR_CODES,
+    MAX_NAME_LENGTH,
+    MAX_CHAT_LENGTH,
+    MAX_PASSWORD_LENGTH,
+    CLIENT_MESSAGE_SCHEMAS,
+    validateMessage,
+    validateSettingChanges
+};